@@ -0,0 +1,41 @@
+/**
+ * Authentication Configuration
+ */
+
+module.exports = {
+  // Device session tokens
+  session: {
+    ttlMs: parseInt(process.env.SESSION_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  },
+
+  // Login challenges (signed with the device's Ed25519 key)
+  challenge: {
+    ttlMs: parseInt(process.env.LOGIN_CHALLENGE_TTL_MS) || 60 * 1000, // 1 minute
+  },
+
+  // Codes an existing device issues to link a new one to the account
+  deviceLink: {
+    ttlMs: parseInt(process.env.DEVICE_LINK_TTL_MS) || 5 * 60 * 1000, // 5 minutes
+  },
+
+  // Phone number ownership verification (one-time code via WhatsApp)
+  phoneVerification: {
+    templateName: process.env.PHONE_VERIFICATION_TEMPLATE || 'washield_verification_code',
+    languageCode: process.env.PHONE_VERIFICATION_LANGUAGE || 'en',
+    codeLength: 6,
+    ttlMs: 10 * 60 * 1000, // 10 minutes
+    maxAttempts: 5,
+    resendIntervalMs: 60 * 1000, // 1 minute
+  },
+
+  // Accounts allowed to use the operator endpoints (/api/admin, template management)
+  admin: {
+    userIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+  },
+
+  // Prekey directory (X3DH session setup)
+  preKeys: {
+    lowThreshold: parseInt(process.env.PREKEY_LOW_THRESHOLD) || 10,
+    maxBatchSize: 100,
+  },
+};
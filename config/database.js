@@ -0,0 +1,26 @@
+/**
+ * Database Configuration
+ *
+ * DATABASE_URL selects the storage adapter:
+ *   (unset) or memory:            - in-memory, lost on restart (default)
+ *   sqlite:./data/washield.db     - file-backed SQLite
+ */
+
+function parseDatabaseUrl(url) {
+  if (!url || url === 'memory:') {
+    return { driver: 'memory' };
+  }
+
+  if (url.startsWith('sqlite:')) {
+    return {
+      driver: 'sqlite',
+      sqlite: {
+        filename: url.slice('sqlite:'.length).replace(/^\/\//, '') || './data/washield.db',
+      },
+    };
+  }
+
+  return { driver: url.split(':')[0] };
+}
+
+module.exports = parseDatabaseUrl(process.env.DATABASE_URL);
@@ -0,0 +1,16 @@
+/**
+ * Idempotency Configuration
+ * Clients send an Idempotency-Key header so a retried request isn't applied twice.
+ */
+
+module.exports = {
+  header: 'idempotency-key',
+  maxKeyLength: 255,
+
+  // How long a completed request's response is kept for replay
+  retentionMs: (parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS) || 24) * 60 * 60 * 1000,
+
+  // A request still in progress after this long is assumed lost (e.g. the
+  // server restarted mid-request) and its key can be used again
+  inFlightTimeoutMs: 60 * 1000,
+};
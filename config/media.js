@@ -0,0 +1,47 @@
+/**
+ * Media Configuration
+ * Attachments are encrypted on the device, so the server only sees opaque
+ * blobs; these limits mirror the WhatsApp Cloud API media limits.
+ */
+
+const MB = 1024 * 1024;
+
+module.exports = {
+  // Outbound attachments, by message type
+  upload: {
+    image: {
+      maxBytes: parseInt(process.env.MEDIA_IMAGE_MAX_BYTES) || 5 * MB,
+      mimeTypes: ['image/jpeg', 'image/png'],
+    },
+    document: {
+      maxBytes: parseInt(process.env.MEDIA_DOCUMENT_MAX_BYTES) || 100 * MB,
+      mimeTypes: [
+        'application/octet-stream',
+        'application/pdf',
+        'text/plain',
+        'application/zip',
+      ],
+    },
+  },
+
+  // Media proxied to devices from inbound messages
+  download: {
+    maxBytes: parseInt(process.env.MEDIA_DOWNLOAD_MAX_BYTES) || 100 * MB,
+    mimeTypes: [
+      'image/jpeg',
+      'image/png',
+      'image/webp',
+      'audio/aac',
+      'audio/amr',
+      'audio/mp4',
+      'audio/mpeg',
+      'audio/ogg',
+      'video/mp4',
+      'video/3gpp',
+      'application/octet-stream',
+      'application/pdf',
+      'text/plain',
+      'application/zip',
+    ],
+  },
+};
@@ -0,0 +1,20 @@
+/**
+ * Outbound Queue Configuration
+ * Sends are acknowledged immediately and delivered by a background worker
+ * (services/outboundQueue.js).
+ */
+
+module.exports = {
+  pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000,
+  batchSize: 20,
+
+  // Delivery attempts before a job is moved to the dead-letter list
+  maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+
+  // Delay before retry n is backoffMs * 2^(n-1), capped at maxBackoffMs
+  backoffMs: parseInt(process.env.QUEUE_BACKOFF_MS) || 5000,
+  maxBackoffMs: 10 * 60 * 1000, // 10 minutes
+
+  // How far ahead a message can be scheduled with sendAt
+  maxScheduleAheadMs: 30 * 24 * 60 * 60 * 1000, // 30 days
+};
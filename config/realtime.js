@@ -0,0 +1,19 @@
+/**
+ * Real-time Push Configuration
+ * Devices hold a Server-Sent Events stream open (GET /api/events/stream) and
+ * receive their account's events as they happen (services/realtimeService.js).
+ */
+
+module.exports = {
+  // Comment line sent on idle streams so proxies don't time them out
+  heartbeatMs: parseInt(process.env.REALTIME_HEARTBEAT_MS) || 25 * 1000,
+
+  // How long a client waits before reconnecting a dropped stream (sent as the SSE retry field)
+  reconnectMs: 3000,
+
+  // How long events are kept for devices that reconnect with Last-Event-ID
+  retentionMs: (parseInt(process.env.REALTIME_EVENT_RETENTION_HOURS) || 24) * 60 * 60 * 1000,
+
+  // Most missed events replayed on reconnect; beyond that the device is told to resync
+  maxReplay: 1000,
+};
@@ -0,0 +1,14 @@
+/**
+ * Webhook Configuration
+ * Every webhook payload is journaled before it is processed, so it can be
+ * inspected and replayed later (see services/webhookJournal.js).
+ */
+
+module.exports = {
+  // How long journaled payloads, and the message/status ids used to drop
+  // Meta's redeliveries, are kept
+  journalRetentionMs: (parseInt(process.env.WEBHOOK_JOURNAL_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000,
+
+  // Most events a single range replay processes
+  maxReplayBatch: 100,
+};
@@ -20,6 +20,23 @@ module.exports = {
     messagingProduct: 'whatsapp',
   },
   
+  // Text bodies longer than the WhatsApp limit are sent as numbered chunks
+  chunking: {
+    maxTextLength: 4096,
+    maxChunks: parseInt(process.env.CHUNK_MAX_PARTS) || 24, // ~96 KB, just under the JSON body limit
+    reassemblyTimeoutMs: parseInt(process.env.CHUNK_REASSEMBLY_TIMEOUT_MS) || 5 * 60 * 1000, // 5 minutes
+  },
+
+  // WhatsApp only accepts free-form messages to a number within 24 hours of its
+  // last message to us; outside that, only approved templates can be sent
+  serviceWindow: {
+    enforced: process.env.SERVICE_WINDOW_ENFORCED !== 'false',
+    durationMs: 24 * 60 * 60 * 1000,
+    // Approved template sent instead when a sender opts in (no placeholders)
+    reengagementTemplate: process.env.REENGAGEMENT_TEMPLATE || null,
+    reengagementLanguage: process.env.REENGAGEMENT_TEMPLATE_LANGUAGE || 'en',
+  },
+
   // Retry Configuration
   retry: {
     maxAttempts: 3,
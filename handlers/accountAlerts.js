@@ -0,0 +1,26 @@
+/**
+ * Account Alerts
+ * Logs what Meta reports about the business account and phone number, so
+ * operators see bans, limits and quality drops in the server log.
+ */
+
+const eventBus = require('../services/eventBus');
+const { safeLog } = require('../utils/helpers');
+
+eventBus.subscribe('account.alert', value => {
+  const alert = value.alert_info || {};
+  console.warn('WhatsApp account alert:', JSON.stringify({
+    severity: alert.alert_severity,
+    type: alert.alert_type,
+    status: alert.alert_status,
+    description: alert.alert_description,
+  }));
+}, { name: 'log-account-alert' });
+
+eventBus.subscribe('account.update', value => {
+  safeLog('WhatsApp account update', { event: value.event, banInfo: value.ban_info });
+}, { name: 'log-account-update' });
+
+eventBus.subscribe('phone_number.quality', value => {
+  safeLog('Phone number quality update', { event: value.event, currentLimit: value.current_limit });
+}, { name: 'log-phone-quality' });
@@ -0,0 +1,23 @@
+/**
+ * Event Handlers
+ * Features that react to what WhatsApp sends (auto-replies, analytics,
+ * notifications, ...) subscribe to the event bus (services/eventBus.js) from
+ * a module in this directory. Add the module below to load it at startup.
+ *
+ * Events published by the webhook, with their payloads:
+ * - message.received      { message, contact, metadata } - an inbound message
+ * - message.status        { status, metadata } - sent, delivered, read or failed
+ * - webhook.error         { error, metadata } - an error WhatsApp reported
+ * - template.status       change value - template approved, rejected, paused, ...
+ * - template.quality      change value - template quality rating changed
+ * - account.alert         change value - alert about the business account
+ * - account.update        change value - business account changes (bans, reviews, ...)
+ * - phone_number.quality  change value - quality rating or messaging limit changed
+ *
+ * The built-in handlers (storing messages, applying statuses, ...) run first,
+ * with order 0. A handler that throws doesn't stop the others; the webhook
+ * journal records the failure, and replaying the event re-runs only the
+ * handlers that haven't dealt with it yet.
+ */
+
+require('./accountAlerts');
@@ -1,9 +1,15 @@
 /**
  * Authentication Middleware
- * Validates requests from Flutter app using device ID and shared secret
+ * Validates requests from Flutter app using device ID and session token
  */
 
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const { Device } = require('../models/database');
+
 const deviceSecrets = {}; // In production, use a database
+const loginChallenges = {}; // deviceId -> pending challenge
+const linkCodes = {}; // code -> pending device link
 
 function authMiddleware(req, res, next) {
   // Skip auth for health check and webhook verification
@@ -29,8 +35,6 @@ function authMiddleware(req, res, next) {
     });
   }
 
-  // In production, validate token against a JWT or session store
-  // For MVP, we do basic validation
   if (!authToken.startsWith('Bearer ')) {
     return res.status(401).json({
       success: false,
@@ -38,25 +42,151 @@ function authMiddleware(req, res, next) {
     });
   }
 
-  // Attach device ID to request for later use
+  // Validate token against the session issued to this device
+  const session = deviceSecrets[deviceId];
+  if (!session || !tokenMatches(session.tokenHash, authToken.slice('Bearer '.length))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid session token',
+    });
+  }
+
+  if (new Date(session.expiresAt) <= new Date()) {
+    delete deviceSecrets[deviceId];
+    return res.status(401).json({
+      success: false,
+      error: 'Session expired',
+    });
+  }
+
+  const device = Device.findByDeviceId(deviceId);
+  if (!device) {
+    delete deviceSecrets[deviceId];
+    return res.status(401).json({
+      success: false,
+      error: 'Device not registered or revoked',
+    });
+  }
+
+  session.lastUsed = new Date().toISOString();
+
+  // Attach device and owning account to request for later use
   req.deviceId = deviceId;
-  req.userId = deviceId; // In production, map device ID to user ID
+  req.device = device;
+  req.sessionExpiresAt = session.expiresAt;
+  req.userId = device.userId;
 
   next();
 }
 
 /**
- * Generate a device token (called during app registration)
+ * Restrict a route to operator accounts (ADMIN_USER_IDS); use after authMiddleware
+ */
+function requireAdmin(req, res, next) {
+  if (!authConfig.admin.userIds.includes(req.userId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required',
+    });
+  }
+  next();
+}
+
+/**
+ * Hash a session token (only hashes are kept in the session store)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Constant-time comparison of a presented token against a stored hash
+ */
+function tokenMatches(tokenHash, token) {
+  return crypto.timingSafeEqual(tokenHash, hashToken(token));
+}
+
+/**
+ * Generate a device token (called during registration, login and refresh)
+ * Replaces any session previously issued to the device.
  */
 function generateDeviceToken(deviceId) {
-  const crypto = require('crypto');
   const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
   deviceSecrets[deviceId] = {
-    token,
-    createdAt: new Date().toISOString(),
-    lastUsed: new Date().toISOString(),
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    lastUsed: new Date(now).toISOString(),
+    expiresAt: new Date(now + authConfig.session.ttlMs).toISOString(),
+  };
+  return {
+    token: `Bearer ${token}`,
+    expiresAt: deviceSecrets[deviceId].expiresAt,
+  };
+}
+
+/**
+ * Revoke the session issued to a device (logout)
+ */
+function revokeDeviceToken(deviceId) {
+  const existed = Boolean(deviceSecrets[deviceId]);
+  delete deviceSecrets[deviceId];
+  return existed;
+}
+
+/**
+ * Issue a single-use login challenge for a device
+ * The device proves key possession by signing the returned challenge string.
+ */
+function issueLoginChallenge(deviceId) {
+  const nonce = crypto.randomBytes(32).toString('base64');
+  const challenge = {
+    challenge: `washield-login:${deviceId}:${nonce}`,
+    expiresAt: new Date(Date.now() + authConfig.challenge.ttlMs).toISOString(),
+  };
+  loginChallenges[deviceId] = challenge;
+  return challenge;
+}
+
+/**
+ * Take the pending login challenge for a device
+ * Returns null if none was issued or it has expired. Challenges are removed
+ * on first use, whether or not the signature turns out to be valid.
+ */
+function consumeLoginChallenge(deviceId) {
+  const challenge = loginChallenges[deviceId];
+  delete loginChallenges[deviceId];
+
+  if (!challenge || new Date(challenge.expiresAt) <= new Date()) {
+    return null;
+  }
+  return challenge;
+}
+
+/**
+ * Issue a single-use code that links a new device to an account
+ */
+function issueLinkCode(userId, issuedBy) {
+  const code = crypto.randomBytes(6).toString('hex').toUpperCase();
+  linkCodes[code] = {
+    userId,
+    issuedBy,
+    expiresAt: new Date(Date.now() + authConfig.deviceLink.ttlMs).toISOString(),
   };
-  return `Bearer ${token}`;
+  return { code, expiresAt: linkCodes[code].expiresAt };
+}
+
+/**
+ * Redeem a link code; returns null if unknown or expired
+ */
+function consumeLinkCode(code) {
+  const link = linkCodes[code];
+  delete linkCodes[code];
+
+  if (!link || new Date(link.expiresAt) <= new Date()) {
+    return null;
+  }
+  return link;
 }
 
 /**
@@ -87,6 +217,12 @@ function validateWebhookSignature(req, res, next) {
 
 module.exports = {
   authMiddleware,
+  requireAdmin,
   generateDeviceToken,
+  revokeDeviceToken,
+  issueLoginChallenge,
+  consumeLoginChallenge,
+  issueLinkCode,
+  consumeLinkCode,
   validateWebhookSignature,
 };
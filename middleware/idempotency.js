@@ -0,0 +1,109 @@
+/**
+ * Idempotency Middleware
+ * Honours the Idempotency-Key header, scoped per device: a retried request
+ * gets the stored response of the first one instead of being applied again.
+ * Mount after authMiddleware, and after the upload parser on multipart routes
+ * so the form fields and file are part of the request hash.
+ */
+
+const crypto = require('crypto');
+const idempotencyConfig = require('../config/idempotency');
+const { IdempotencyKey } = require('../models/database');
+
+const PURGE_INTERVAL_MS = 60 * 1000;
+let lastPurge = 0;
+
+function hashRequest(req) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? null)}`);
+  if (req.file) {
+    hash.update(req.file.buffer);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * A completed key past retention, or an in-progress one that never finished
+ */
+function isStale(record, now) {
+  if (record.status === 'completed') {
+    return record.expiresAt <= new Date(now).toISOString();
+  }
+  return Date.parse(record.createdAt) + idempotencyConfig.inFlightTimeoutMs <= now;
+}
+
+function idempotency(req, res, next) {
+  const key = req.headers[idempotencyConfig.header];
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > idempotencyConfig.maxKeyLength || !/^[\x21-\x7e]+$/.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be 1-${idempotencyConfig.maxKeyLength} printable ASCII characters`,
+    });
+  }
+
+  const now = Date.now();
+  if (now - lastPurge > PURGE_INTERVAL_MS) {
+    lastPurge = now;
+    IdempotencyKey.purgeExpired();
+  }
+
+  const requestHash = hashRequest(req);
+  let record = IdempotencyKey.findByDeviceAndKey(req.deviceId, key);
+  if (record && isStale(record, now)) {
+    IdempotencyKey.delete(record.id);
+    record = null;
+  }
+
+  if (record) {
+    if (record.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used for a different request',
+      });
+    }
+
+    if (record.status === 'in_progress') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still in progress',
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response.statusCode).json(record.response.body);
+  }
+
+  try {
+    record = IdempotencyKey.create({ deviceId: req.deviceId, key, requestHash });
+  } catch (error) {
+    // Another request with the same key got there first
+    res.set('Retry-After', '1');
+    return res.status(409).json({
+      success: false,
+      error: 'A request with this Idempotency-Key is still in progress',
+    });
+  }
+
+  // Keep the response for replays; server errors release the key so the
+  // client can try again
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 500) {
+      IdempotencyKey.delete(record.id);
+    } else {
+      const expiresAt = new Date(Date.now() + idempotencyConfig.retentionMs).toISOString();
+      IdempotencyKey.complete(record.id, { statusCode: res.statusCode, body }, expiresAt);
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = { idempotency };
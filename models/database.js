@@ -1,101 +1,220 @@
 /**
- * Database Models (In-Memory for MVP, can be replaced with MongoDB/PostgreSQL)
+ * Database Models
+ * Records are persisted through the storage adapter chosen in config/database.js
+ * (in-memory by default, SQLite when configured). See models/storage/index.js.
  */
 
-// In-memory storage
-const db = {
-  messages: [],
-  contacts: [],
-  conversations: [],
-  users: [],
-};
+const { generateId, formatPhoneNumber } = require('../utils/helpers');
+const { store, migrations } = require('./storage');
+
+/**
+ * Run pending schema migrations (called once at startup)
+ */
+function initializeDatabase() {
+  return store.migrate(migrations);
+}
+
+/**
+ * Shared persistence for the models below
+ * Each subclass sets its `collection` name. After mutating a record, call
+ * save(record) so the change reaches persistent storage.
+ */
+class Model {
+  static fromRecord(record) {
+    if (!record || record instanceof this) return record || null;
+    return Object.assign(Object.create(this.prototype), record);
+  }
+
+  static create(data) {
+    return this.fromRecord(store.insert(this.collection, new this(data)));
+  }
+
+  static findById(id) {
+    return this.fromRecord(store.get(this.collection, id));
+  }
+
+  static findWhere(filter, options) {
+    return store.find(this.collection, filter, options).map(record => this.fromRecord(record));
+  }
+
+  static findOneWhere(filter, options) {
+    return this.fromRecord(store.findOne(this.collection, filter, options));
+  }
+
+  static save(record) {
+    store.update(this.collection, record);
+    return record;
+  }
 
-class Message {
+  /**
+   * Apply changes to a record by id and persist them
+   */
+  static update(id, changes) {
+    const record = this.findById(id);
+    if (!record) return null;
+    Object.assign(record, changes);
+    return this.save(record);
+  }
+
+  static delete(id) {
+    return store.remove(this.collection, id);
+  }
+}
+
+class Message extends Model {
   constructor(data) {
+    super();
     this.id = data.id || `msg_${Date.now()}`;
     this.conversationId = data.conversationId;
     this.senderId = data.senderId;
     this.recipientId = data.recipientId;
     this.content = data.content; // encrypted base64
     this.messageType = data.messageType || 'text';
-    this.status = data.status || 'pending'; // pending, sent, delivered, read
+    this.media = data.media; // { id, mimeType, fileSize, fileName, sha256 } for attachments
+    this.template = data.template; // { name, language } for template messages
+    this.chunks = data.chunks; // { groupId, total, whatsappMessageIds, missing } when sent in parts
+    this.direction = data.direction || 'outbound'; // outbound (sent by us), inbound (from WhatsApp)
+    this.status = data.status || 'pending'; // scheduled, pending, sent, delivered, read, failed
+    this.scheduledFor = data.scheduledFor; // sendAt requested by the sender, for scheduled messages
     this.whatsappMessageId = data.whatsappMessageId; // ID from WhatsApp API
+    this.deliveryError = data.deliveryError; // { code, title, details } from a failed status update
     this.timestamp = data.timestamp || new Date().toISOString();
     this.encryptionMethod = data.encryptionMethod || 'AES-256-GCM';
     this.publicKeyId = data.publicKeyId; // ID of sender's public key used for encryption
+    this.envelope = data.envelope; // { version, publicKeyId, nonce, signature } from the WA-Shield envelope
+    this.security = data.security; // encrypted_verified, encrypted_unverified, plaintext (see utils/envelope.js)
+    this.verificationError = data.verificationError; // Why an envelope couldn't be verified
+    this.senderDeviceId = data.senderDeviceId; // Device whose key verified an inbound envelope
+    this.replyTo = data.replyTo; // { messageId, whatsappMessageId } of the message replied to
+    this.reactions = data.reactions || []; // [{ direction, emoji, timestamp }], one per side
+    this.revokedAt = data.revokedAt; // Set when the sender deleted it for everyone
+    this.groupId = data.groupId; // Group messages use the group id as conversationId too
+    this.requestId = data.requestId; // Inbound from an unknown number, held until the request is accepted
+    this.senderUserId = data.senderUserId; // Inbound from a number a WA-Shield user has verified
   }
 
-  static create(data) {
-    const message = new Message(data);
-    db.messages.push(message);
-    return message;
+  static findByConversation(conversationId, limit = 50) {
+    return this.findWhere({ conversationId }, { orderBy: 'timestamp', direction: 'desc', limit });
   }
 
-  static findById(id) {
-    return db.messages.find(m => m.id === id);
+  /**
+   * One page of a conversation's history in (timestamp, id) order
+   * startAfter: { value: timestamp, id } - continue past this message
+   */
+  static findPageByConversation(conversationId, { direction = 'desc', startAfter, limit = 50 } = {}) {
+    return this.findWhere({ conversationId }, { orderBy: 'timestamp', direction, startAfter, limit });
   }
 
-  static findByConversation(conversationId, limit = 50) {
-    return db.messages
-      .filter(m => m.conversationId === conversationId)
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+  /**
+   * Messages held in a message request, oldest first
+   */
+  static findByRequest(requestId) {
+    return this.findWhere({ requestId }, { orderBy: 'timestamp' });
   }
 
   static updateStatus(messageId, status) {
+    return this.update(messageId, { status });
+  }
+
+  /**
+   * Stored copies of a WhatsApp message (one per conversation it was filed in)
+   */
+  static findByWhatsappMessageId(whatsappMessageId) {
+    return this.findWhere({ whatsappMessageId });
+  }
+
+  /**
+   * Set or clear (empty emoji) one side's reaction
+   * direction: 'outbound' for the user's own reaction, 'inbound' for the contact's
+   */
+  static setReaction(messageId, direction, emoji, timestamp = new Date().toISOString()) {
     const message = this.findById(messageId);
-    if (message) {
-      message.status = status;
-      return message;
+    if (!message) return null;
+
+    const reactions = (message.reactions || []).filter(r => r.direction !== direction);
+    if (emoji) {
+      reactions.push({ direction, emoji, timestamp });
     }
-    return null;
+    return this.update(messageId, { reactions });
+  }
+
+  /**
+   * Delete for everyone: drop the content but keep the record as a tombstone
+   */
+  static revoke(messageId) {
+    return this.update(messageId, {
+      content: null,
+      media: undefined,
+      envelope: undefined,
+      reactions: [],
+      revokedAt: new Date().toISOString(),
+    });
   }
 }
 
-class Contact {
+Message.collection = 'messages';
+
+class Contact extends Model {
   constructor(data) {
+    super();
     this.id = data.id || `contact_${Date.now()}`;
     this.userId = data.userId;
     this.name = data.name;
     this.phoneNumber = data.phoneNumber;
+    this.normalizedPhoneNumber = data.phoneNumber ? formatPhoneNumber(data.phoneNumber) : null; // Lookup key
     this.publicKey = data.publicKey; // Base64 encoded X25519 public key
     this.publicKeyId = data.publicKeyId; // Fingerprint or ID
     this.verified = data.verified || false;
     this.verifiedAt = data.verifiedAt;
+    this.keyChangedAt = data.keyChangedAt; // Last time the pinned key was replaced
     this.createdAt = new Date().toISOString();
   }
 
-  static create(data) {
-    const contact = new Contact(data);
-    db.contacts.push(contact);
-    return contact;
+  static findByUserId(userId) {
+    return this.findWhere({ userId });
   }
 
-  static findById(id) {
-    return db.contacts.find(c => c.id === id);
+  /**
+   * Every user's contact entry for a phone number
+   */
+  static findByPhoneNumber(phoneNumber) {
+    return this.findWhere({ normalizedPhoneNumber: formatPhoneNumber(phoneNumber) });
   }
 
-  static findByUserId(userId) {
-    return db.contacts.filter(c => c.userId === userId);
+  static findByUserAndPhoneNumber(userId, phoneNumber) {
+    return this.findOneWhere({ userId, normalizedPhoneNumber: formatPhoneNumber(phoneNumber) });
   }
 
-  static findByPhoneNumber(phoneNumber) {
-    return db.contacts.find(c => c.phoneNumber === phoneNumber);
+  static findByPublicKeyId(publicKeyId) {
+    return this.findWhere({ publicKeyId });
+  }
+
+  /**
+   * Replace a contact's pinned key; the new key starts out unverified
+   */
+  static updatePublicKey(contactId, publicKey, publicKeyId) {
+    return this.update(contactId, {
+      publicKey,
+      publicKeyId,
+      verified: false,
+      verifiedAt: null,
+      keyChangedAt: new Date().toISOString(),
+    });
   }
 
   static updateVerification(contactId, verified) {
-    const contact = this.findById(contactId);
-    if (contact) {
-      contact.verified = verified;
-      contact.verifiedAt = new Date().toISOString();
-      return contact;
-    }
-    return null;
+    return this.update(contactId, {
+      verified,
+      verifiedAt: new Date().toISOString(),
+    });
   }
 }
 
-class Conversation {
+Contact.collection = 'contacts';
+
+class Conversation extends Model {
   constructor(data) {
+    super();
     this.id = data.id || `conv_${Date.now()}`;
     this.userId = data.userId;
     this.contactId = data.contactId;
@@ -103,80 +222,880 @@ class Conversation {
     this.displayName = data.displayName;
     this.lastMessage = data.lastMessage;
     this.lastMessageTime = data.lastMessageTime;
+    this.lastMessageId = data.lastMessageId;
     this.unreadCount = data.unreadCount || 0;
+    this.archived = data.archived || false;
+    this.muted = data.muted || false;
+    this.pinned = data.pinned || false;
     this.createdAt = new Date().toISOString();
   }
 
-  static create(data) {
-    const conversation = new Conversation(data);
-    db.conversations.push(conversation);
-    return conversation;
-  }
+  /**
+   * A user's conversations, pinned first, then by most recent activity
+   */
+  static findByUserId(userId, { archived } = {}) {
+    const filter = { userId };
+    if (archived !== undefined) filter.archived = archived;
 
-  static findById(id) {
-    return db.conversations.find(c => c.id === id);
+    const activity = c => c.lastMessageTime || c.createdAt;
+    return this.findWhere(filter).sort((a, b) => {
+      if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+      return activity(b).localeCompare(activity(a));
+    });
   }
 
-  static findByUserId(userId) {
-    return db.conversations.filter(c => c.userId === userId);
+  /**
+   * Conversations are keyed by (user, phone number); the contact is attached
+   * when the user has one for that number.
+   */
+  static findByUserAndPhoneNumber(userId, phoneNumber) {
+    return this.findOneWhere({ userId, phoneNumber: formatPhoneNumber(phoneNumber) });
   }
 
   static findByUserAndContact(userId, contactId) {
-    return db.conversations.find(c => c.userId === userId && c.contactId === contactId);
+    return this.findOneWhere({ userId, contactId });
+  }
+
+  /**
+   * Every user's conversation with a phone number
+   */
+  static findByPhoneNumber(phoneNumber) {
+    return this.findWhere({ phoneNumber: formatPhoneNumber(phoneNumber) });
+  }
+
+  static findOrCreate(userId, phoneNumber, contact = null) {
+    const existing = this.findByUserAndPhoneNumber(userId, phoneNumber);
+
+    if (!existing) {
+      return this.create({
+        id: generateId('conv_'),
+        userId,
+        phoneNumber: formatPhoneNumber(phoneNumber),
+        contactId: contact?.id,
+        displayName: contact?.name,
+      });
+    }
+
+    if (contact && existing.contactId !== contact.id) {
+      return this.update(existing.id, { contactId: contact.id, displayName: contact.name });
+    }
+    return existing;
   }
 
   static updateLastMessage(conversationId, message, timestamp) {
+    return this.update(conversationId, {
+      lastMessage: message,
+      lastMessageTime: timestamp,
+    });
+  }
+
+  /**
+   * Update the preview and unread count for a message added to a conversation
+   * Messages that arrive out of order don't replace a newer preview.
+   */
+  static recordMessage(conversationId, message) {
     const conversation = this.findById(conversationId);
-    if (conversation) {
-      conversation.lastMessage = message;
-      conversation.lastMessageTime = timestamp;
-      return conversation;
+    if (!conversation) return null;
+
+    const changes = {};
+    if (!conversation.lastMessageTime || message.timestamp >= conversation.lastMessageTime) {
+      changes.lastMessage = message.content;
+      changes.lastMessageId = message.id;
+      changes.lastMessageTime = message.timestamp;
+    }
+    if (message.direction === 'inbound') {
+      changes.unreadCount = conversation.unreadCount + 1;
     }
-    return null;
+    return this.update(conversationId, changes);
+  }
+
+  static markRead(conversationId) {
+    return this.update(conversationId, { unreadCount: 0 });
+  }
+
+  /**
+   * One inbound message was read individually
+   */
+  static decrementUnread(conversationId) {
+    const conversation = this.findById(conversationId);
+    if (!conversation) return null;
+    return this.update(conversationId, { unreadCount: Math.max(0, conversation.unreadCount - 1) });
+  }
+
+  /**
+   * Update list flags (archived, muted, pinned)
+   */
+  static updateSettings(conversationId, settings) {
+    return this.update(conversationId, settings);
+  }
+
+  /**
+   * Blank the preview if it shows a message that was deleted for everyone
+   */
+  static clearRevokedPreview(conversationId, messageId) {
+    const conversation = this.findById(conversationId);
+    if (!conversation || conversation.lastMessageId !== messageId) return conversation;
+    return this.update(conversationId, { lastMessage: null });
+  }
+}
+
+Conversation.collection = 'conversations';
+
+/**
+ * Messages from a number a user doesn't know yet, sent to the user's own
+ * business number; held apart from their conversations until they accept
+ * (the number becomes a contact) or reject (its messages are dropped)
+ * status: pending, accepted, rejected
+ */
+class MessageRequest extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || generateId('mreq_');
+    this.userId = data.userId; // Owner of the business number the messages went to
+    this.phoneNumber = formatPhoneNumber(data.phoneNumber);
+    this.displayName = data.displayName; // WhatsApp profile name of the sender
+    this.senderUserId = data.senderUserId; // Set when the number is a verified WA-Shield user
+    this.status = data.status || 'pending';
+    this.messageCount = data.messageCount || 0;
+    this.lastMessage = data.lastMessage;
+    this.lastMessageAt = data.lastMessageAt;
+    this.contactId = data.contactId; // Contact created on accept
+    this.conversationId = data.conversationId; // Conversation the messages moved to on accept
+    this.createdAt = new Date().toISOString();
+    this.decidedAt = data.decidedAt;
+  }
+
+  /**
+   * A user's requests, most recent activity first
+   */
+  static findByUserId(userId, { status } = {}) {
+    const filter = { userId };
+    if (status) filter.status = status;
+    return this.findWhere(filter, { orderBy: 'lastMessageAt', direction: 'desc' });
+  }
+
+  static findByUserAndPhoneNumber(userId, phoneNumber) {
+    return this.findOneWhere({ userId, phoneNumber: formatPhoneNumber(phoneNumber) });
+  }
+
+  /**
+   * Every user's request from a phone number
+   */
+  static findByPhoneNumber(phoneNumber) {
+    return this.findWhere({ phoneNumber: formatPhoneNumber(phoneNumber) });
   }
 }
 
-class User {
+MessageRequest.collection = 'message_requests';
+
+/**
+ * Account - owns one or more devices (see Device)
+ */
+class User extends Model {
   constructor(data) {
+    super();
     this.id = data.id || `user_${Date.now()}`;
-    this.deviceId = data.deviceId; // Unique device identifier from Flutter app
-    this.publicKey = data.publicKey; // User's X25519 public key
-    this.publicKeyId = data.publicKeyId; // Fingerprint
-    this.signingPublicKey = data.signingPublicKey; // Ed25519 public key
     this.phoneNumber = data.phoneNumber;
+    this.normalizedPhoneNumber = data.phoneNumber ? formatPhoneNumber(data.phoneNumber) : null; // Lookup key
+    this.phoneVerified = data.phoneVerified || false; // Ownership proven via one-time code
+    this.phoneVerifiedAt = data.phoneVerifiedAt;
+    this.businessPhoneNumberId = data.businessPhoneNumberId; // Cloud API phone_number_id of the user's own business number
+    this.eventSeq = data.eventSeq || 0; // seq of the last real-time event (see RealtimeEvent)
     this.displayName = data.displayName;
     this.createdAt = new Date().toISOString();
     this.lastSeen = new Date().toISOString();
   }
 
-  static create(data) {
-    const user = new User(data);
-    db.users.push(user);
-    return user;
+  /**
+   * Find the account an active device belongs to
+   */
+  static findByDeviceId(deviceId) {
+    const device = Device.findByDeviceId(deviceId);
+    return device ? this.findById(device.userId) : null;
   }
 
-  static findByDeviceId(deviceId) {
-    return db.users.find(u => u.deviceId === deviceId);
+  /**
+   * Find the user who has verified ownership of a phone number
+   * Unverified claims are never returned, so numbers can't be hijacked.
+   */
+  static findByPhoneNumber(phoneNumber) {
+    return this.findOneWhere({
+      normalizedPhoneNumber: formatPhoneNumber(phoneNumber),
+      phoneVerified: true,
+    });
   }
 
-  static findById(id) {
-    return db.users.find(u => u.id === id);
+  /**
+   * Find the user whose own business number has this Cloud API phone_number_id
+   */
+  static findByBusinessPhoneNumberId(phoneNumberId) {
+    return this.findOneWhere({ businessPhoneNumberId: phoneNumberId });
+  }
+
+  /**
+   * Record verified ownership of a phone number
+   * Any other user who previously verified the same number loses it, along
+   * with the business number registered for it.
+   */
+  static markPhoneVerified(userId, phoneNumber) {
+    const user = this.findById(userId);
+    if (!user) return null;
+
+    const previousOwner = this.findByPhoneNumber(phoneNumber);
+    if (previousOwner && previousOwner.id !== userId) {
+      this.update(previousOwner.id, { phoneVerified: false, phoneVerifiedAt: null, businessPhoneNumberId: null });
+    }
+
+    const changes = {
+      phoneNumber,
+      normalizedPhoneNumber: formatPhoneNumber(phoneNumber),
+      phoneVerified: true,
+      phoneVerifiedAt: new Date().toISOString(),
+    };
+    // A business number registered for the old number doesn't carry over
+    if (user.normalizedPhoneNumber !== changes.normalizedPhoneNumber) {
+      changes.businessPhoneNumberId = null;
+    }
+    return this.update(userId, changes);
+  }
+
+  /**
+   * Register a business number as the user's own
+   * Any other user who registered it before loses it.
+   */
+  static setBusinessPhoneNumberId(userId, phoneNumberId) {
+    const previousOwner = phoneNumberId ? this.findByBusinessPhoneNumberId(phoneNumberId) : null;
+    if (previousOwner && previousOwner.id !== userId) {
+      this.update(previousOwner.id, { businessPhoneNumberId: null });
+    }
+    return this.update(userId, { businessPhoneNumberId: phoneNumberId });
   }
 
   static updateLastSeen(userId) {
+    return this.update(userId, { lastSeen: new Date().toISOString() });
+  }
+
+  /**
+   * Take the user's next real-time event sequence number
+   * The counter lives on the user, so it keeps counting up after old events
+   * are purged. Returns null for an unknown user.
+   */
+  static nextEventSeq(userId) {
     const user = this.findById(userId);
-    if (user) {
-      user.lastSeen = new Date().toISOString();
-      return user;
+    if (!user) return null;
+    return this.update(userId, { eventSeq: (user.eventSeq || 0) + 1 }).eventSeq;
+  }
+}
+
+User.collection = 'users';
+
+/**
+ * A device (phone, tablet, ...) of an account, each with its own identity keys
+ */
+class Device extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || `device_${Date.now()}`;
+    this.userId = data.userId;
+    this.deviceId = data.deviceId; // Unique device identifier from Flutter app
+    this.name = data.name;
+    this.publicKey = data.publicKey; // Device's X25519 public key
+    this.publicKeyId = data.publicKeyId; // Fingerprint
+    this.signingPublicKey = data.signingPublicKey; // Ed25519 public key
+    this.keyHistory = data.keyHistory || []; // Retired identity keys, oldest first
+    this.keyRotatedAt = data.keyRotatedAt;
+    this.linkedBy = data.linkedBy; // deviceId that approved this device (unset for the first one)
+    this.revokedAt = data.revokedAt || null;
+    this.createdAt = new Date().toISOString();
+    this.lastSeen = new Date().toISOString();
+  }
+
+  /**
+   * Find an active (non-revoked) device by its client identifier
+   */
+  static findByDeviceId(deviceId) {
+    return this.findOneWhere({ deviceId, revokedAt: null });
+  }
+
+  static findByUserId(userId) {
+    return this.findWhere({ userId, revokedAt: null }, { orderBy: 'createdAt' });
+  }
+
+  /**
+   * Replace the device's identity keys, moving the current ones into keyHistory
+   */
+  static rotateKeys(id, { publicKey, publicKeyId, signingPublicKey, rotationSignature }) {
+    const device = this.findById(id);
+    if (!device) return null;
+
+    const now = new Date().toISOString();
+    device.keyHistory.push({
+      publicKeyId: device.publicKeyId,
+      signingPublicKey: device.signingPublicKey,
+      activeFrom: device.keyRotatedAt || device.createdAt,
+      retiredAt: now,
+      replacedBy: publicKeyId,
+      rotationSignature: rotationSignature || null, // Old signing key over the new keys
+    });
+
+    device.publicKey = publicKey;
+    device.publicKeyId = publicKeyId;
+    device.signingPublicKey = signingPublicKey;
+    device.keyRotatedAt = now;
+    return this.save(device);
+  }
+
+  static revoke(id) {
+    return this.update(id, { revokedAt: new Date().toISOString() });
+  }
+
+  static updateLastSeen(id) {
+    return this.update(id, { lastSeen: new Date().toISOString() });
+  }
+}
+
+Device.collection = 'devices';
+
+class PreKey extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || `prekey_${Date.now()}`;
+    this.deviceId = data.deviceId; // Owning device (client identifier)
+    this.type = data.type; // signed, one_time
+    this.keyId = data.keyId; // Client-assigned key ID
+    this.publicKey = data.publicKey; // Base64 encoded X25519 public key
+    this.signature = data.signature; // Ed25519 signature over the key (signed prekeys only)
+    this.createdAt = new Date().toISOString();
+  }
+
+  static findSignedByDeviceId(deviceId) {
+    return this.findOneWhere({ deviceId, type: 'signed' });
+  }
+
+  static findOneTimeByDeviceId(deviceId) {
+    return this.findWhere({ deviceId, type: 'one_time' }, { orderBy: 'createdAt' });
+  }
+
+  static countOneTime(deviceId) {
+    return store.count(this.collection, { deviceId, type: 'one_time' });
+  }
+
+  /**
+   * Replace the device's signed prekey (only one is active at a time)
+   */
+  static replaceSigned(deviceId, data) {
+    store.removeWhere(this.collection, { deviceId, type: 'signed' });
+    return this.create({ ...data, deviceId, type: 'signed' });
+  }
+
+  /**
+   * Remove and return the oldest one-time prekey (each is handed out once)
+   */
+  static consumeOneTime(deviceId) {
+    const preKey = this.findOneWhere({ deviceId, type: 'one_time' }, { orderBy: 'createdAt' });
+    if (!preKey) return null;
+    store.remove(this.collection, preKey.id);
+    return preKey;
+  }
+
+  static deleteByDeviceId(deviceId) {
+    return store.removeWhere(this.collection, { deviceId });
+  }
+}
+
+PreKey.collection = 'pre_keys';
+
+/**
+ * "Safety number changed" notice for a contact whose pinned key was replaced
+ */
+class KeyChangeEvent extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || `keychange_${Date.now()}`;
+    this.userId = data.userId; // Owner of the affected contact
+    this.contactId = data.contactId;
+    this.previousPublicKeyId = data.previousPublicKeyId;
+    this.newPublicKeyId = data.newPublicKeyId;
+    this.signedByPreviousKey = data.signedByPreviousKey || false;
+    this.acknowledged = data.acknowledged || false;
+    this.createdAt = new Date().toISOString();
+  }
+
+  static findByUserId(userId, { unacknowledgedOnly = false } = {}) {
+    const filter = unacknowledgedOnly ? { userId, acknowledged: false } : { userId };
+    return this.findWhere(filter, { orderBy: 'createdAt' });
+  }
+
+  static acknowledge(eventId) {
+    return this.update(eventId, { acknowledged: true });
+  }
+}
+
+KeyChangeEvent.collection = 'key_change_events';
+
+/**
+ * Delivery job for an outbound message, worked by services/outboundQueue.js
+ * Jobs that exhaust their retries stay in storage with status 'dead'.
+ */
+class OutboundJob extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || `job_${Date.now()}`;
+    this.messageId = data.messageId;
+    this.userId = data.userId;
+    this.recipientPhoneNumber = data.recipientPhoneNumber;
+    this.kind = data.kind || 'text'; // text: bodies sent in order, media/template: one message
+    this.bodies = data.bodies || []; // text: WhatsApp text bodies (envelope chunks)
+    this.media = data.media; // media: { type, id, caption, filename }
+    this.template = data.template; // template: { name, language, components }
+    this.contextMessageId = data.contextMessageId; // WhatsApp ID of the message replied to
+    this.deliveryId = data.deliveryId; // MessageDelivery this job sends, for group fan-out
+    this.sentIds = data.sentIds || []; // WhatsApp IDs of the bodies already delivered
+    this.status = data.status || 'queued'; // queued, sending, sent, dead
+    this.attempts = data.attempts || 0;
+    this.sendAt = data.sendAt || null; // Scheduled send time; the first attempt waits until then
+    this.nextAttemptAt = data.nextAttemptAt || data.sendAt || new Date().toISOString();
+    this.lastError = data.lastError || null;
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = this.createdAt;
+  }
+
+  /**
+   * Queued jobs whose next attempt is due, oldest first
+   */
+  static findDue(limit) {
+    const now = new Date().toISOString();
+    return this.findWhere({ status: 'queued' }, { orderBy: 'nextAttemptAt', limit })
+      .filter(job => job.nextAttemptAt <= now);
+  }
+
+  static findByStatus(status) {
+    return this.findWhere({ status }, { orderBy: 'nextAttemptAt' });
+  }
+
+  static findDeadByUserId(userId) {
+    return this.findWhere({ userId, status: 'dead' }, { orderBy: 'updatedAt', direction: 'desc' });
+  }
+
+  static findByMessageId(messageId) {
+    return this.findOneWhere({ messageId });
+  }
+
+  /**
+   * Scheduled jobs that haven't been attempted yet, soonest first
+   */
+  static findScheduledByUserId(userId) {
+    return this.findWhere({ userId, status: 'queued' }, { orderBy: 'nextAttemptAt' })
+      .filter(job => job.sendAt && job.attempts === 0);
+  }
+
+  static update(id, changes) {
+    return super.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+}
+
+OutboundJob.collection = 'outbound_jobs';
+
+/**
+ * Group conversation; members live in GroupMember, history in GroupEvent
+ * epoch goes up on every membership change so clients know to rotate the
+ * group key before sending again.
+ */
+class Group extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || `grp_${Date.now()}`;
+    this.name = data.name;
+    this.createdBy = data.createdBy; // userId
+    this.epoch = data.epoch || 1;
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = this.createdAt;
+  }
+
+  static update(id, changes) {
+    return super.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+}
+
+Group.collection = 'groups';
+
+/**
+ * A phone number's membership of a group
+ * Members are identified by phone number, since that's where WhatsApp delivers;
+ * a WA-Shield user acts as the member whose number they have verified.
+ */
+class GroupMember extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || `gmem_${Date.now()}`;
+    this.groupId = data.groupId;
+    this.phoneNumber = formatPhoneNumber(data.phoneNumber);
+    this.userId = data.userId; // Set when the number belongs to a WA-Shield user
+    this.role = data.role || 'member'; // admin, member
+    this.status = data.status || 'active'; // active, removed, left
+    this.addedBy = data.addedBy; // userId of the admin who added them
+    this.joinedAt = new Date().toISOString();
+    this.leftAt = data.leftAt;
+  }
+
+  static findActiveByGroup(groupId) {
+    return this.findWhere({ groupId, status: 'active' }, { orderBy: 'joinedAt' });
+  }
+
+  static findActive(groupId, phoneNumber) {
+    return this.findOneWhere({ groupId, phoneNumber: formatPhoneNumber(phoneNumber), status: 'active' });
+  }
+
+  static findActiveByPhoneNumber(phoneNumber) {
+    return this.findWhere({ phoneNumber: formatPhoneNumber(phoneNumber), status: 'active' });
+  }
+}
+
+GroupMember.collection = 'group_members';
+
+/**
+ * System event in a group's history (created, member_added, member_removed,
+ * member_left, role_changed, renamed)
+ */
+class GroupEvent extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || `gevt_${Date.now()}`;
+    this.groupId = data.groupId;
+    this.type = data.type;
+    this.actorUserId = data.actorUserId;
+    this.phoneNumber = data.phoneNumber; // Member the event is about
+    this.role = data.role;
+    this.name = data.name;
+    this.epoch = data.epoch; // Group epoch after the event
+    this.createdAt = new Date().toISOString();
+  }
+
+  static findByGroup(groupId, { sinceEpoch } = {}) {
+    const events = this.findWhere({ groupId }, { orderBy: 'createdAt' });
+    return sinceEpoch === undefined ? events : events.filter(event => event.epoch > sinceEpoch);
+  }
+}
+
+GroupEvent.collection = 'group_events';
+
+/**
+ * Delivery of a group message to one member
+ */
+class MessageDelivery extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || `dlv_${Date.now()}`;
+    this.messageId = data.messageId;
+    this.groupId = data.groupId;
+    this.phoneNumber = data.phoneNumber;
+    this.whatsappMessageId = data.whatsappMessageId;
+    this.status = data.status || 'pending'; // pending, sent, delivered, read, failed
+    this.deliveryError = data.deliveryError; // { code, title, details } from a failed status update
+    this.updatedAt = new Date().toISOString();
+  }
+
+  static findByMessageId(messageId) {
+    return this.findWhere({ messageId });
+  }
+
+  static findByWhatsappMessageId(whatsappMessageId) {
+    return this.findOneWhere({ whatsappMessageId });
+  }
+
+  static update(id, changes) {
+    return super.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Overall status of a fanned-out message: pending until every member's send
+   * has finished, then the furthest status all members who got it have reached
+   * (sent, delivered or read), or failed if none got through
+   */
+  static aggregateStatus(messageId) {
+    const deliveries = this.findByMessageId(messageId);
+    if (deliveries.some(delivery => delivery.status === 'pending')) return 'pending';
+    const reached = deliveries.filter(delivery => delivery.status !== 'failed');
+    if (deliveries.length > 0 && reached.length === 0) return 'failed';
+    if (reached.length > 0 && reached.every(delivery => delivery.status === 'read')) return 'read';
+    if (reached.length > 0 && reached.every(delivery => ['delivered', 'read'].includes(delivery.status))) return 'delivered';
+    return 'sent';
+  }
+}
+
+MessageDelivery.collection = 'message_deliveries';
+
+/**
+ * Local copy of a message template on the WhatsApp business account
+ * id is the template's WhatsApp ID. status follows the approval webhook:
+ * PENDING, APPROVED, REJECTED, PAUSED, DISABLED.
+ */
+class Template extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id;
+    this.name = data.name;
+    this.language = data.language;
+    this.category = data.category; // MARKETING, UTILITY, AUTHENTICATION
+    this.status = data.status || 'PENDING';
+    this.components = data.components; // As returned by the Cloud API; unset until synced
+    this.parameterFormat = data.parameterFormat || 'POSITIONAL'; // POSITIONAL ({{1}}) or NAMED ({{name}})
+    this.rejectedReason = data.rejectedReason;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  static findByName(name) {
+    return this.findWhere({ name }, { orderBy: 'language' });
+  }
+
+  static findByNameAndLanguage(name, language) {
+    return this.findOneWhere({ name, language });
+  }
+
+  static findAll({ status } = {}) {
+    return this.findWhere(status ? { status } : {}, { orderBy: 'name' });
+  }
+
+  static update(id, changes) {
+    return super.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Create the template or update the cached copy
+   */
+  static upsert(data) {
+    return this.findById(data.id) ? this.update(data.id, data) : this.create(data);
+  }
+}
+
+Template.collection = 'templates';
+
+/**
+ * When a phone number last messaged the business number, which opens its
+ * customer service window (see services/serviceWindowService.js)
+ */
+class ServiceWindow extends Model {
+  constructor(data) {
+    super();
+    this.phoneNumber = formatPhoneNumber(data.phoneNumber);
+    this.id = this.phoneNumber;
+    this.lastInboundAt = data.lastInboundAt;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  static findByPhoneNumber(phoneNumber) {
+    return this.findById(formatPhoneNumber(phoneNumber));
+  }
+
+  /**
+   * Record an inbound message; messages that arrive out of order don't move it back
+   */
+  static recordInbound(phoneNumber, timestamp) {
+    const existing = this.findByPhoneNumber(phoneNumber);
+    if (!existing) {
+      return this.create({ phoneNumber, lastInboundAt: timestamp });
     }
-    return null;
+    if (existing.lastInboundAt >= timestamp) return existing;
+    return this.update(existing.id, { lastInboundAt: timestamp, updatedAt: new Date().toISOString() });
+  }
+}
+
+ServiceWindow.collection = 'service_windows';
+
+/**
+ * Result of a request made with an Idempotency-Key, kept so a retry of the
+ * same request gets the same response (see middleware/idempotency.js)
+ */
+class IdempotencyKey extends Model {
+  constructor(data) {
+    super();
+    this.id = IdempotencyKey.idFor(data.deviceId, data.key);
+    this.deviceId = data.deviceId; // Keys are scoped per device
+    this.key = data.key;
+    this.requestHash = data.requestHash; // SHA-256 of method, path and body
+    this.status = data.status || 'in_progress'; // in_progress, completed
+    this.response = data.response || null; // { statusCode, body }
+    this.createdAt = new Date().toISOString();
+    this.expiresAt = data.expiresAt;
+  }
+
+  static idFor(deviceId, key) {
+    return `${deviceId}:${key}`;
+  }
+
+  static findByDeviceAndKey(deviceId, key) {
+    return this.findById(this.idFor(deviceId, key));
+  }
+
+  static complete(id, response, expiresAt) {
+    return this.update(id, { status: 'completed', response, expiresAt });
+  }
+
+  /**
+   * Delete completed keys past their retention window, oldest first
+   */
+  static purgeExpired(limit = 100) {
+    const now = new Date().toISOString();
+    const expired = this.findWhere({ status: 'completed' }, { orderBy: 'expiresAt', limit })
+      .filter(record => record.expiresAt <= now);
+    expired.forEach(record => this.delete(record.id));
+    return expired.length;
+  }
+}
+
+IdempotencyKey.collection = 'idempotency_keys';
+
+/**
+ * A webhook payload as received from Meta, kept for inspection and replay
+ * status: received (not processed yet), processed, failed (some items threw)
+ */
+class WebhookEvent extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || generateId('whe_');
+    this.payload = data.payload; // Request body, unchanged
+    this.status = data.status || 'received';
+    this.results = data.results || null; // { processed, duplicates, failed } from the latest run
+    this.errors = data.errors || []; // [{ item, error }] from the latest run
+    this.receivedAt = data.receivedAt || new Date().toISOString();
+    this.processedAt = data.processedAt || null;
+    this.replayCount = data.replayCount || 0;
+    this.lastReplayedAt = data.lastReplayedAt || null;
+  }
+
+  /**
+   * Newest first; before: ISO time, only events received earlier
+   */
+  static findRecent({ status, before, limit = 50 } = {}) {
+    return this.findWhere(status ? { status } : {}, {
+      orderBy: 'receivedAt',
+      direction: 'desc',
+      startAfter: before ? { value: before, id: '' } : undefined,
+      limit,
+    });
+  }
+
+  /**
+   * Oldest first, received between from and to (inclusive)
+   */
+  static findRange({ status, from, to, limit }) {
+    return this.findWhere(status ? { status } : {}, {
+      orderBy: 'receivedAt',
+      startAfter: { value: from, id: '' },
+      limit,
+    }).filter(event => event.receivedAt <= to);
+  }
+
+  /**
+   * Delete events received before a cutoff, oldest first, with their receipts
+   */
+  static purgeBefore(cutoff, limit = 100) {
+    const expired = this.findWhere({}, { orderBy: 'receivedAt', limit })
+      .filter(event => event.receivedAt < cutoff);
+    expired.forEach(event => {
+      WebhookReceipt.findByEventId(event.id).forEach(receipt => WebhookReceipt.delete(receipt.id));
+      this.delete(event.id);
+    });
+    return expired.length;
+  }
+}
+
+WebhookEvent.collection = 'webhook_events';
+
+/**
+ * A webhook item (inbound message or status update) that an event handler has
+ * dealt with, so Meta's redeliveries of it are recognised and skipped
+ * item is the item's key, e.g. message:<wamid> or status:<wamid>:<status>
+ */
+class WebhookReceipt extends Model {
+  constructor(data) {
+    super();
+    this.id = WebhookReceipt.idFor(data.item, data.handler);
+    this.item = data.item;
+    this.handler = data.handler; // Event bus handler name
+    this.eventId = data.eventId; // Journaled event it was first applied from
+    this.processedAt = new Date().toISOString();
+  }
+
+  static idFor(item, handler) {
+    return `${item}|${handler}`;
+  }
+
+  static findByItem(item) {
+    return this.findWhere({ item });
+  }
+
+  static findByEventId(eventId) {
+    return this.findWhere({ eventId });
   }
 }
 
+WebhookReceipt.collection = 'webhook_receipts';
+
+/**
+ * Something that happened to an account (a message arrived, a status
+ * changed, ...), pushed to its devices' event streams
+ * seq increases by one per event for each user (counted on User.eventSeq);
+ * streams use it as the event id, so a reconnecting device asks for
+ * everything after the last one it saw
+ */
+class RealtimeEvent extends Model {
+  constructor(data) {
+    super();
+    this.id = data.id || generateId('evt_');
+    this.userId = data.userId;
+    this.seq = data.seq;
+    this.type = data.type; // message.created, message.status, ...
+    this.data = data.data;
+    this.createdAt = new Date().toISOString();
+  }
+
+  static findOldest(userId) {
+    return this.findOneWhere({ userId }, { orderBy: 'seq' });
+  }
+
+  /**
+   * A user's events after seq, oldest first
+   */
+  static findAfter(userId, seq, limit) {
+    return this.findWhere({ userId }, { orderBy: 'seq', startAfter: { value: seq, id: '' }, limit: limit + 1 })
+      .filter(event => event.seq > seq)
+      .slice(0, limit);
+  }
+
+  /**
+   * Delete events created before a cutoff, oldest first
+   */
+  static purgeBefore(cutoff, limit = 500) {
+    const expired = this.findWhere({}, { orderBy: 'createdAt', limit })
+      .filter(event => event.createdAt < cutoff);
+    expired.forEach(event => this.delete(event.id));
+    return expired.length;
+  }
+}
+
+RealtimeEvent.collection = 'realtime_events';
+
 module.exports = {
   Message,
   Contact,
   Conversation,
+  MessageRequest,
   User,
-  db, // For debugging/testing
+  Device,
+  PreKey,
+  KeyChangeEvent,
+  OutboundJob,
+  Group,
+  GroupMember,
+  GroupEvent,
+  MessageDelivery,
+  Template,
+  ServiceWindow,
+  IdempotencyKey,
+  WebhookEvent,
+  WebhookReceipt,
+  RealtimeEvent,
+  initializeDatabase,
+  store, // For debugging/testing
 };
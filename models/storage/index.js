@@ -0,0 +1,43 @@
+/**
+ * Storage Layer
+ * Creates the storage adapter selected by config/database.js
+ *
+ * Adapter interface (all methods synchronous):
+ *   migrate(migrations)                     -> applied migrations
+ *   insert(collection, record)              -> record
+ *   get(collection, id)                     -> record | null
+ *   find(collection, filter, options)       -> records
+ *     options: { orderBy, direction: 'asc' | 'desc', limit, offset, startAfter }
+ *     startAfter: { value, id } - keyset paging; only records that sort after
+ *     this (orderBy value, id) position in the requested direction. Records
+ *     are ordered by id among equal orderBy values.
+ *   findOne(collection, filter, options)    -> record | null
+ *   count(collection, filter)               -> number
+ *   update(collection, record)              -> record | null (replaces by id)
+ *   remove(collection, id)                  -> boolean
+ *   removeWhere(collection, filter)         -> number removed
+ *   close()
+ */
+
+const databaseConfig = require('../../config/database');
+const MemoryStore = require('./memoryStore');
+const migrations = require('./migrations');
+
+function createStore(config = databaseConfig) {
+  switch (config.driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'sqlite': {
+      const SqliteStore = require('./sqliteStore');
+      return new SqliteStore({ filename: config.sqlite.filename });
+    }
+    default:
+      throw new Error(`Unsupported database driver: ${config.driver}`);
+  }
+}
+
+module.exports = {
+  store: createStore(),
+  createStore,
+  migrations,
+};
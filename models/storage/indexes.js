@@ -0,0 +1,78 @@
+/**
+ * Secondary indexes kept by the in-memory adapter
+ *
+ * fields:  equality lookups on the first field use a hash index
+ * orderBy: records sharing the first field's value are also kept sorted by
+ *          this field, so ordered pages are read without a full sort
+ *
+ * The SQLite equivalents are created by migrations (see migrations.js).
+ */
+
+module.exports = {
+  messages: [
+    { fields: ['conversationId'], orderBy: 'timestamp' },
+    { fields: ['whatsappMessageId'] },
+    { fields: ['senderId'] },
+    { fields: ['requestId'] },
+  ],
+  contacts: [
+    { fields: ['userId'] },
+    { fields: ['normalizedPhoneNumber'] },
+    { fields: ['publicKeyId'] },
+  ],
+  conversations: [
+    { fields: ['userId'] },
+    { fields: ['phoneNumber'] },
+  ],
+  message_requests: [
+    { fields: ['userId'], orderBy: 'lastMessageAt' },
+    { fields: ['phoneNumber'] },
+  ],
+  users: [
+    { fields: ['normalizedPhoneNumber'] },
+    { fields: ['businessPhoneNumberId'] },
+  ],
+  devices: [
+    { fields: ['deviceId'] },
+    { fields: ['userId'] },
+  ],
+  pre_keys: [
+    { fields: ['deviceId'], orderBy: 'createdAt' },
+  ],
+  key_change_events: [
+    { fields: ['userId'], orderBy: 'createdAt' },
+  ],
+  outbound_jobs: [
+    { fields: ['status'], orderBy: 'nextAttemptAt' },
+    { fields: ['userId'] },
+    { fields: ['messageId'] },
+  ],
+  group_members: [
+    { fields: ['groupId'], orderBy: 'joinedAt' },
+    { fields: ['phoneNumber'] },
+  ],
+  group_events: [
+    { fields: ['groupId'], orderBy: 'createdAt' },
+  ],
+  message_deliveries: [
+    { fields: ['messageId'] },
+    { fields: ['whatsappMessageId'] },
+  ],
+  templates: [
+    { fields: ['name'], orderBy: 'language' },
+    { fields: ['status'], orderBy: 'name' },
+  ],
+  idempotency_keys: [
+    { fields: ['status'], orderBy: 'expiresAt' },
+  ],
+  webhook_events: [
+    { fields: ['status'], orderBy: 'receivedAt' },
+  ],
+  realtime_events: [
+    { fields: ['userId'], orderBy: 'seq' },
+  ],
+  webhook_receipts: [
+    { fields: ['eventId'] },
+    { fields: ['item'] },
+  ],
+};
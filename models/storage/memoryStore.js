@@ -0,0 +1,264 @@
+/**
+ * In-Memory Storage Adapter (default)
+ * Keeps records in process memory - everything is lost on restart.
+ *
+ * Records are stored and returned by reference, but callers must still call
+ * update() after mutating one: that keeps the secondary indexes current and
+ * the code working with persistent adapters.
+ */
+
+const { matchesFilter, compareBy } = require('./query');
+const indexDefinitions = require('./indexes');
+
+function indexKey(value) {
+  return value === undefined ? null : value;
+}
+
+class MemoryStore {
+  constructor(indexes = indexDefinitions) {
+    this.name = 'memory';
+    this.indexDefinitions = indexes;
+    this.collections = {};
+  }
+
+  collection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = {
+        records: new Map(), // id -> record
+        indexed: new Map(), // id -> indexed field values as last stored
+        indexes: (this.indexDefinitions[name] || []).map(definition => ({
+          field: definition.fields[0],
+          orderBy: definition.orderBy,
+          entries: new Map(), // value -> Set of ids, or array sorted by orderBy
+        })),
+      };
+    }
+    return this.collections[name];
+  }
+
+  /**
+   * Nothing to migrate - collections are created on first use
+   */
+  migrate() {
+    return [];
+  }
+
+  // ---- index maintenance ----
+
+  compareOrdered(orderBy, direction = 'asc') {
+    const byOrder = compareBy(orderBy, direction);
+    const sign = direction === 'desc' ? -1 : 1;
+    return (a, b) => byOrder(a, b) || (a.id < b.id ? -sign : a.id > b.id ? sign : 0);
+  }
+
+  addToIndexes(col, record) {
+    const snapshot = {};
+    col.indexes.forEach(index => {
+      const key = indexKey(record[index.field]);
+      snapshot[index.field] = key;
+
+      if (index.orderBy) {
+        snapshot[index.orderBy] = record[index.orderBy];
+        const list = index.entries.get(key) || [];
+        const position = this.sortedPosition(list, record, this.compareOrdered(index.orderBy));
+        list.splice(position, 0, record);
+        index.entries.set(key, list);
+      } else {
+        const ids = index.entries.get(key) || new Set();
+        ids.add(record.id);
+        index.entries.set(key, ids);
+      }
+    });
+    col.indexed.set(record.id, snapshot);
+  }
+
+  removeFromIndexes(col, id) {
+    const snapshot = col.indexed.get(id);
+    if (!snapshot) return;
+
+    col.indexes.forEach(index => {
+      const key = snapshot[index.field];
+      const entry = index.entries.get(key);
+      if (!entry) return;
+
+      if (index.orderBy) {
+        // Locate by the values the record had when it was indexed
+        const probe = { id, [index.orderBy]: snapshot[index.orderBy] };
+        const position = this.sortedPosition(entry, probe, this.compareOrdered(index.orderBy));
+        if (entry[position] && entry[position].id === id) {
+          entry.splice(position, 1);
+        } else {
+          const fallback = entry.findIndex(r => r.id === id);
+          if (fallback !== -1) entry.splice(fallback, 1);
+        }
+        if (entry.length === 0) index.entries.delete(key);
+      } else {
+        entry.delete(id);
+        if (entry.size === 0) index.entries.delete(key);
+      }
+    });
+    col.indexed.delete(id);
+  }
+
+  /**
+   * Binary search for the first position whose record sorts at or after `record`
+   */
+  sortedPosition(list, record, compare) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (compare(list[mid], record) < 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  // ---- adapter interface ----
+
+  insert(collection, record) {
+    const col = this.collection(collection);
+    if (col.records.has(record.id)) {
+      throw new Error(`Duplicate id in ${collection}: ${record.id}`);
+    }
+    col.records.set(record.id, record);
+    this.addToIndexes(col, record);
+    return record;
+  }
+
+  get(collection, id) {
+    return this.collection(collection).records.get(id) || null;
+  }
+
+  /**
+   * Pick the cheapest way to enumerate candidates for a filter:
+   * an ordered index (already in the requested order), a hash index, or a scan
+   */
+  candidates(col, filter, options) {
+    if (filter.id !== undefined) {
+      const record = col.records.get(filter.id);
+      return { records: record ? [record] : [], ordered: false };
+    }
+
+    const ordered = options.orderBy && col.indexes.find(index =>
+      index.orderBy === options.orderBy && index.field in filter
+    );
+    if (ordered) {
+      const list = ordered.entries.get(indexKey(filter[ordered.field])) || [];
+      return { records: this.walk(list, options), ordered: true };
+    }
+
+    const hashed = col.indexes.find(index => index.field in filter);
+    if (hashed) {
+      const entry = hashed.entries.get(indexKey(filter[hashed.field]));
+      const records = !entry ? []
+        : hashed.orderBy ? entry
+          : Array.from(entry, id => col.records.get(id));
+      return { records, ordered: false };
+    }
+
+    return { records: col.records.values(), ordered: false };
+  }
+
+  /**
+   * Iterate an ordered index list in the requested direction, starting just
+   * past options.startAfter when given
+   */
+  * walk(list, options) {
+    const descending = options.direction === 'desc';
+    let start = descending ? list.length - 1 : 0;
+
+    if (options.startAfter) {
+      const probe = { id: options.startAfter.id, [options.orderBy]: options.startAfter.value };
+      const compare = this.compareOrdered(options.orderBy);
+      const position = this.sortedPosition(list, probe, compare);
+      if (descending) {
+        start = position - 1;
+      } else {
+        start = list[position] && compare(list[position], probe) === 0 ? position + 1 : position;
+      }
+    }
+
+    for (let i = start; i >= 0 && i < list.length; i += descending ? -1 : 1) {
+      yield list[i];
+    }
+  }
+
+  /**
+   * startAfter for candidates that don't come from an ordered index
+   */
+  isPastStart(record, options) {
+    if (!options.startAfter) return true;
+    const probe = { id: options.startAfter.id, [options.orderBy]: options.startAfter.value };
+    return this.compareOrdered(options.orderBy, options.direction)(record, probe) > 0;
+  }
+
+  find(collection, filter = {}, options = {}) {
+    if (options.startAfter && !options.orderBy) throw new Error('startAfter requires orderBy');
+
+    const col = this.collection(collection);
+    const { records, ordered } = this.candidates(col, filter, options);
+    const offset = options.offset || 0;
+
+    // Already in order: stop as soon as the page is full
+    if (ordered || !options.orderBy) {
+      const page = [];
+      let skipped = 0;
+      for (const record of records) {
+        if (!matchesFilter(record, filter)) continue;
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        page.push(record);
+        if (options.limit !== undefined && page.length >= options.limit) break;
+      }
+      return page;
+    }
+
+    const matched = Array.from(records)
+      .filter(r => matchesFilter(r, filter) && this.isPastStart(r, options))
+      .sort(this.compareOrdered(options.orderBy, options.direction));
+    return options.limit !== undefined
+      ? matched.slice(offset, offset + options.limit)
+      : matched.slice(offset);
+  }
+
+  findOne(collection, filter = {}, options = {}) {
+    return this.find(collection, filter, { ...options, limit: 1 })[0] || null;
+  }
+
+  count(collection, filter = {}) {
+    return this.find(collection, filter).length;
+  }
+
+  update(collection, record) {
+    const col = this.collection(collection);
+    if (!col.records.has(record.id)) return null;
+    this.removeFromIndexes(col, record.id);
+    col.records.set(record.id, record);
+    this.addToIndexes(col, record);
+    return record;
+  }
+
+  remove(collection, id) {
+    const col = this.collection(collection);
+    if (!col.records.has(id)) return false;
+    this.removeFromIndexes(col, id);
+    col.records.delete(id);
+    return true;
+  }
+
+  removeWhere(collection, filter) {
+    const matched = this.find(collection, filter);
+    matched.forEach(record => this.remove(collection, record.id));
+    return matched.length;
+  }
+
+  close() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,187 @@
+/**
+ * SQLite Schema Migrations
+ * Applied in order at startup; the applied versions are recorded in the
+ * schema_migrations table. Never edit a released migration - add a new one.
+ */
+
+const { formatPhoneNumber } = require('../../utils/helpers');
+
+function createCollection(db, name) {
+  db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+}
+
+/**
+ * Expression index over JSON fields. The expressions must match the ones the
+ * SQLite adapter generates for filters and ORDER BY, or the planner ignores them.
+ */
+function createIndex(db, collection, fields) {
+  const columns = fields.map(field => `json_extract(data, '$.${field}')`).join(', ');
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_${collection}_${fields.join('_')} ON ${collection} (${columns})`);
+}
+
+module.exports = [
+  {
+    version: 1,
+    name: 'create_collections',
+    up(db) {
+      [
+        'messages',
+        'contacts',
+        'conversations',
+        'users',
+        'devices',
+        'pre_keys',
+        'key_change_events',
+      ].forEach(name => createCollection(db, name));
+    },
+  },
+  {
+    version: 2,
+    name: 'index_lookup_fields',
+    up(db) {
+      createIndex(db, 'messages', ['conversationId', 'timestamp']);
+      createIndex(db, 'messages', ['whatsappMessageId']);
+      createIndex(db, 'messages', ['senderId']);
+      createIndex(db, 'contacts', ['userId']);
+      createIndex(db, 'contacts', ['phoneNumber']);
+      createIndex(db, 'contacts', ['publicKeyId']);
+      createIndex(db, 'conversations', ['userId']);
+      createIndex(db, 'users', ['normalizedPhoneNumber']);
+      createIndex(db, 'devices', ['deviceId']);
+      createIndex(db, 'devices', ['userId']);
+      createIndex(db, 'pre_keys', ['deviceId', 'createdAt']);
+      createIndex(db, 'key_change_events', ['userId', 'createdAt']);
+
+      // Users are now looked up by normalized phone number; backfill it
+      const users = db.prepare('SELECT id, data FROM users').all();
+      const save = db.prepare('UPDATE users SET data = ? WHERE id = ?');
+      users.forEach(row => {
+        const user = JSON.parse(row.data);
+        user.normalizedPhoneNumber = user.phoneNumber ? formatPhoneNumber(user.phoneNumber) : null;
+        save.run(JSON.stringify(user), row.id);
+      });
+    },
+  },
+  {
+    version: 3,
+    name: 'conversation_lookups',
+    up(db) {
+      // Contacts are matched to inbound senders by normalized number
+      db.exec('DROP INDEX IF EXISTS idx_contacts_phoneNumber');
+      createIndex(db, 'contacts', ['normalizedPhoneNumber']);
+      createIndex(db, 'conversations', ['phoneNumber']);
+
+      const contacts = db.prepare('SELECT id, data FROM contacts').all();
+      const save = db.prepare('UPDATE contacts SET data = ? WHERE id = ?');
+      contacts.forEach(row => {
+        const contact = JSON.parse(row.data);
+        contact.normalizedPhoneNumber = contact.phoneNumber ? formatPhoneNumber(contact.phoneNumber) : null;
+        save.run(JSON.stringify(contact), row.id);
+      });
+    },
+  },
+  {
+    version: 4,
+    name: 'message_history_keyset',
+    up(db) {
+      // Cursor paging orders by (timestamp, id); include id so no sort is needed
+      db.exec('DROP INDEX IF EXISTS idx_messages_conversationId_timestamp');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_conversationId_timestamp_id ON messages (
+        json_extract(data, '$.conversationId'), json_extract(data, '$.timestamp'), id
+      )`);
+    },
+  },
+  {
+    version: 5,
+    name: 'create_outbound_jobs',
+    up(db) {
+      createCollection(db, 'outbound_jobs');
+      createIndex(db, 'outbound_jobs', ['status', 'nextAttemptAt']);
+      createIndex(db, 'outbound_jobs', ['userId']);
+      createIndex(db, 'outbound_jobs', ['messageId']);
+    },
+  },
+  {
+    version: 6,
+    name: 'create_idempotency_keys',
+    up(db) {
+      createCollection(db, 'idempotency_keys');
+      createIndex(db, 'idempotency_keys', ['status', 'expiresAt']);
+    },
+  },
+  {
+    version: 7,
+    name: 'create_groups',
+    up(db) {
+      ['groups', 'group_members', 'group_events', 'message_deliveries'].forEach(name => createCollection(db, name));
+      createIndex(db, 'group_members', ['groupId', 'joinedAt']);
+      createIndex(db, 'group_members', ['phoneNumber']);
+      createIndex(db, 'group_events', ['groupId', 'createdAt']);
+      createIndex(db, 'message_deliveries', ['messageId']);
+      createIndex(db, 'message_deliveries', ['whatsappMessageId']);
+    },
+  },
+  {
+    version: 8,
+    name: 'create_templates',
+    up(db) {
+      createCollection(db, 'templates');
+      createIndex(db, 'templates', ['name', 'language']);
+      createIndex(db, 'templates', ['status', 'name']);
+    },
+  },
+  {
+    version: 9,
+    name: 'create_service_windows',
+    up(db) {
+      createCollection(db, 'service_windows');
+    },
+  },
+  {
+    version: 10,
+    name: 'create_webhook_journal',
+    up(db) {
+      createCollection(db, 'webhook_events');
+      createCollection(db, 'webhook_receipts');
+      createIndex(db, 'webhook_events', ['receivedAt']);
+      createIndex(db, 'webhook_events', ['status', 'receivedAt']);
+      createIndex(db, 'webhook_receipts', ['eventId']);
+    },
+  },
+  {
+    version: 11,
+    name: 'webhook_receipts_per_handler',
+    up(db) {
+      // Receipts are now kept per event handler; existing ones cover every handler
+      db.exec(`UPDATE webhook_receipts SET data = json_set(data, '$.item', id, '$.handler', json('null'))
+        WHERE json_extract(data, '$.item') IS NULL`);
+      createIndex(db, 'webhook_receipts', ['item']);
+    },
+  },
+  {
+    version: 12,
+    name: 'create_message_requests',
+    up(db) {
+      createCollection(db, 'message_requests');
+      createIndex(db, 'message_requests', ['userId', 'lastMessageAt']);
+      createIndex(db, 'message_requests', ['phoneNumber']);
+      createIndex(db, 'messages', ['requestId', 'timestamp']);
+    },
+  },
+  {
+    version: 13,
+    name: 'create_realtime_events',
+    up(db) {
+      createCollection(db, 'realtime_events');
+      createIndex(db, 'realtime_events', ['userId', 'seq']);
+      createIndex(db, 'realtime_events', ['createdAt']);
+    },
+  },
+  {
+    version: 14,
+    name: 'index_business_phone_number_ids',
+    up(db) {
+      createIndex(db, 'users', ['businessPhoneNumberId']);
+    },
+  },
+];
@@ -0,0 +1,32 @@
+/**
+ * Query helpers shared by the storage adapters
+ *
+ * Filters are plain objects of field -> value and match on equality;
+ * null (or undefined) matches records where the field is missing.
+ */
+
+function matchesFilter(record, filter) {
+  return Object.keys(filter).every(field => {
+    const expected = filter[field];
+    const actual = record[field];
+    if (expected === null || expected === undefined) {
+      return actual === null || actual === undefined;
+    }
+    return actual === expected;
+  });
+}
+
+function compareBy(field, direction = 'asc') {
+  const sign = direction === 'desc' ? -1 : 1;
+  return (a, b) => {
+    if (a[field] === b[field]) return 0;
+    if (a[field] === undefined || a[field] === null) return -sign;
+    if (b[field] === undefined || b[field] === null) return sign;
+    return a[field] < b[field] ? -sign : sign;
+  };
+}
+
+module.exports = {
+  matchesFilter,
+  compareBy,
+};
@@ -0,0 +1,166 @@
+/**
+ * SQLite Storage Adapter
+ * File-backed persistence using better-sqlite3 (synchronous, like the models).
+ *
+ * Each collection is a table of JSON documents: (id TEXT PRIMARY KEY, data TEXT).
+ * Filters and ordering use json_extract on the document; the migrations add
+ * expression indexes for the fields that are queried often.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function checkIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid collection or field name: ${name}`);
+  }
+  return name;
+}
+
+// better-sqlite3 can't bind booleans or undefined
+function toParam(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+class SqliteStore {
+  constructor({ filename }) {
+    const Database = require('better-sqlite3');
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.name = 'sqlite';
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.statements = new Map();
+  }
+
+  prepare(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  /**
+   * Apply pending migrations in version order, each in its own transaction
+   * Returns the migrations that were applied.
+   */
+  migrate(migrations) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const { current } = this.db.prepare('SELECT MAX(version) AS current FROM schema_migrations').get();
+    const pending = migrations
+      .filter(m => m.version > (current || 0))
+      .sort((a, b) => a.version - b.version);
+
+    pending.forEach(migration => {
+      this.db.transaction(() => {
+        migration.up(this.db);
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      })();
+    });
+
+    this.statements.clear();
+    return pending;
+  }
+
+  where(filter) {
+    const fields = Object.keys(filter);
+    if (fields.length === 0) {
+      return { clause: '', params: [] };
+    }
+    return {
+      clause: 'WHERE ' + fields
+        .map(field => `json_extract(data, '$.${checkIdentifier(field)}') IS ?`)
+        .join(' AND '),
+      params: fields.map(field => toParam(filter[field])),
+    };
+  }
+
+  insert(collection, record) {
+    this.prepare(`INSERT INTO ${checkIdentifier(collection)} (id, data) VALUES (?, ?)`)
+      .run(record.id, JSON.stringify(record));
+    return record;
+  }
+
+  get(collection, id) {
+    const row = this.prepare(`SELECT data FROM ${checkIdentifier(collection)} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  find(collection, filter = {}, options = {}) {
+    let { clause, params } = this.where(filter);
+
+    if (options.startAfter) {
+      if (!options.orderBy) throw new Error('startAfter requires orderBy');
+      const field = `json_extract(data, '$.${checkIdentifier(options.orderBy)}')`;
+      const [bound, after] = options.direction === 'desc' ? ['<=', '<'] : ['>=', '>'];
+      // The plain bound lets the planner seek into the index; the row value
+      // comparison breaks ties by id
+      const keyset = `${field} ${bound} ? AND (${field}, id) ${after} (?, ?)`;
+      const value = toParam(options.startAfter.value);
+      clause = clause ? `${clause} AND ${keyset}` : `WHERE ${keyset}`;
+      params.push(value, value, options.startAfter.id);
+    }
+
+    let sql = `SELECT data FROM ${checkIdentifier(collection)} ${clause}`;
+
+    if (options.orderBy) {
+      const direction = options.direction === 'desc' ? 'DESC' : 'ASC';
+      sql += ` ORDER BY json_extract(data, '$.${checkIdentifier(options.orderBy)}') ${direction}, id ${direction}`;
+    }
+    if (options.limit !== undefined) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(options.limit, options.offset || 0);
+    } else if (options.offset) {
+      sql += ' LIMIT -1 OFFSET ?';
+      params.push(options.offset);
+    }
+
+    return this.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  findOne(collection, filter = {}, options = {}) {
+    return this.find(collection, filter, { ...options, limit: 1 })[0] || null;
+  }
+
+  count(collection, filter = {}) {
+    const { clause, params } = this.where(filter);
+    return this.prepare(`SELECT COUNT(*) AS count FROM ${checkIdentifier(collection)} ${clause}`)
+      .get(...params).count;
+  }
+
+  update(collection, record) {
+    const result = this.prepare(`UPDATE ${checkIdentifier(collection)} SET data = ? WHERE id = ?`)
+      .run(JSON.stringify(record), record.id);
+    return result.changes > 0 ? record : null;
+  }
+
+  remove(collection, id) {
+    return this.prepare(`DELETE FROM ${checkIdentifier(collection)} WHERE id = ?`).run(id).changes > 0;
+  }
+
+  removeWhere(collection, filter) {
+    const { clause, params } = this.where(filter);
+    return this.prepare(`DELETE FROM ${checkIdentifier(collection)} ${clause}`).run(...params).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStore;
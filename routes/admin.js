@@ -0,0 +1,193 @@
+/**
+ * Admin Routes
+ * Operator endpoints, only for the accounts listed in ADMIN_USER_IDS.
+ * Inspect the webhook journal and replay events through the handlers, e.g.
+ * after fixing a handler bug, without asking Meta to resend them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookConfig = require('../config/webhook');
+const webhookJournal = require('../services/webhookJournal');
+const { WebhookEvent } = require('../models/database');
+
+const EVENT_STATUSES = ['received', 'processed', 'failed'];
+
+/**
+ * Parse an ISO time query/body parameter; returns undefined when absent and
+ * null when invalid
+ */
+function parseTime(value) {
+  if (value === undefined) return undefined;
+  const time = new Date(value);
+  return typeof value === 'string' && !isNaN(time.getTime()) ? time.toISOString() : null;
+}
+
+/**
+ * GET /api/admin/webhook-events
+ * Journaled webhook payloads, newest first
+ * Query: { status?: 'received' | 'processed' | 'failed', before?: ISO time, limit?: number (default 50, max 200) }
+ */
+router.get('/webhook-events', (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${EVENT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const before = parseTime(req.query.before);
+    if (before === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'before must be an ISO 8601 time',
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const events = WebhookEvent.findRecent({ status, before, limit: limit + 1 });
+    const hasMore = events.length > limit;
+    const page = events.slice(0, limit);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: page.length,
+        events: page,
+        // Pass as before to get the next page
+        nextBefore: hasMore ? page[page.length - 1].receivedAt : null,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to fetch webhook events:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook events',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhook-events/:eventId
+ * One journaled payload with the outcome of its latest run
+ */
+router.get('/webhook-events/:eventId', (req, res) => {
+  try {
+    const event = WebhookEvent.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook event not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    console.error('Failed to fetch webhook event:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook event',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhook-events/replay
+ * Replay every event received in a time range, oldest first
+ * Body: {
+ *   from: ISO time,
+ *   to?: ISO time (default now),
+ *   status?: 'received' | 'processed' | 'failed' (e.g. only the ones that failed),
+ *   force?: boolean (re-apply items that were already applied)
+ * }
+ * At most 100 events are replayed per call; when hasMore is set, call again
+ * with from set to nextFrom.
+ */
+router.post('/webhook-events/replay', (req, res) => {
+  try {
+    const { status, force } = req.body;
+    const from = parseTime(req.body.from);
+    const to = parseTime(req.body.to) ?? new Date().toISOString();
+
+    if (!from || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'from (and to, if given) must be ISO 8601 times',
+      });
+    }
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must not be after to',
+      });
+    }
+    if (status !== undefined && !EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${EVENT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const limit = webhookConfig.maxReplayBatch;
+    const events = WebhookEvent.findRange({ status, from, to, limit: limit + 1 });
+    const hasMore = events.length > limit;
+    const replayed = events.slice(0, limit).map(event => webhookJournal.replay(event, { force: force === true }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: replayed.length,
+        events: replayed.map(event => ({ id: event.id, status: event.status, results: event.results, errors: event.errors })),
+        hasMore,
+        nextFrom: hasMore ? events[limit].receivedAt : null,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to replay webhook events:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook events',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhook-events/:eventId/replay
+ * Replay one event
+ * Body: { force?: boolean (re-apply items that were already applied) }
+ */
+router.post('/webhook-events/:eventId/replay', (req, res) => {
+  try {
+    const event = WebhookEvent.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook event not found',
+      });
+    }
+
+    const replayed = webhookJournal.replay(event, { force: req.body.force === true });
+
+    return res.status(200).json({
+      success: true,
+      data: replayed,
+    });
+  } catch (error) {
+    console.error('Failed to replay webhook event:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook event',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
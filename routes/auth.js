@@ -5,29 +5,53 @@
 
 const express = require('express');
 const router = express.Router();
-const { generateDeviceToken } = require('../middleware/auth');
-const { User } = require('../models/database');
-const { generateId, computeKeyFingerprint, safeLog } = require('../utils/helpers');
+const {
+  authMiddleware,
+  generateDeviceToken,
+  revokeDeviceToken,
+  issueLoginChallenge,
+  consumeLoginChallenge,
+} = require('../middleware/auth');
+const { User, Device, Contact, PreKey, KeyChangeEvent } = require('../models/database');
+const authConfig = require('../config/auth');
+const whatsappConfig = require('../config/whatsapp');
+const whatsappService = require('../services/whatsappService');
+const phoneVerificationService = require('../services/phoneVerificationService');
+const realtimeService = require('../services/realtimeService');
+const {
+  generateId,
+  computeKeyFingerprint,
+  verifyEd25519Signature,
+  isValidPhoneNumber,
+  isValidX25519PublicKey,
+  formatPhoneNumber,
+  safeLog,
+} = require('../utils/helpers');
 
 /**
  * POST /api/auth/register
- * Register a new device/user
+ * Register a new account with its first device
+ * (further devices join through /api/auth/devices/link)
  * Body: {
  *   deviceId: string (unique device identifier),
  *   publicKey: string (base64 X25519 public key),
  *   signingPublicKey: string (base64 Ed25519 public key),
+ *   deviceName: string (optional),
  *   displayName: string (optional),
- *   phoneNumber: string (optional)
+ *   phoneNumber: string (optional),
+ *   verifyPhone: boolean (optional - send a verification code to phoneNumber)
  * }
  */
-router.post('/register', (req, res) => {
+router.post('/register', async (req, res) => {
   try {
     const {
       deviceId,
       publicKey,
       signingPublicKey,
+      deviceName,
       displayName = 'User',
       phoneNumber,
+      verifyPhone = false,
     } = req.body;
 
     if (!deviceId || !publicKey || !signingPublicKey) {
@@ -37,12 +61,27 @@ router.post('/register', (req, res) => {
       });
     }
 
+    // Login requires signatures from this key, so it must be a raw Ed25519 key
+    if (Buffer.from(signingPublicKey, 'base64').length !== 32) {
+      return res.status(400).json({
+        success: false,
+        error: 'signingPublicKey must be a base64 raw 32-byte Ed25519 public key',
+      });
+    }
+
+    if (phoneNumber && !isValidPhoneNumber(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid phoneNumber format',
+      });
+    }
+
     // Check if device already registered
     const existingUser = User.findByDeviceId(deviceId);
     if (existingUser) {
       return res.status(409).json({
         success: false,
-        error: 'Device already registered',
+        error: 'Device already registered. Log in and use /auth/keys/rotate to replace its keys.',
         userId: existingUser.id,
       });
     }
@@ -50,33 +89,55 @@ router.post('/register', (req, res) => {
     // Compute key fingerprints
     const publicKeyId = computeKeyFingerprint(publicKey);
 
-    // Create user record
+    // Create account and its first device
     const user = User.create({
+      id: generateId('user_'),
+      displayName,
+      phoneNumber,
+    });
+
+    const device = Device.create({
+      id: generateId('device_'),
+      userId: user.id,
       deviceId,
+      name: deviceName,
       publicKey,
       publicKeyId,
       signingPublicKey,
-      displayName,
-      phoneNumber,
     });
 
     // Generate authentication token
-    const token = generateDeviceToken(deviceId);
+    const { token, expiresAt } = generateDeviceToken(deviceId);
 
     safeLog('New device registered', {
       userId: user.id,
-      deviceId: user.deviceId,
-      publicKeyId: user.publicKeyId,
+      deviceId: device.deviceId,
+      publicKeyId: device.publicKeyId,
     });
 
+    // Registration succeeds even if the code can't be sent; the client can retry via /auth/phone-code
+    let phoneVerification;
+    if (verifyPhone && phoneNumber) {
+      try {
+        const { expiresAt: codeExpiresAt } = await phoneVerificationService.sendCode(user.id, phoneNumber);
+        phoneVerification = { sent: true, expiresAt: codeExpiresAt };
+      } catch (sendError) {
+        console.error('Failed to send verification code:', sendError.message);
+        phoneVerification = { sent: false, error: sendError.message };
+      }
+    }
+
     return res.status(201).json({
       success: true,
       data: {
         userId: user.id,
-        deviceId: user.deviceId,
-        publicKeyId: user.publicKeyId,
+        deviceId: device.deviceId,
+        publicKeyId: device.publicKeyId,
         registeredAt: user.createdAt,
         token,
+        expiresAt,
+        phoneVerified: user.phoneVerified,
+        phoneVerification,
       },
     });
   } catch (error) {
@@ -90,13 +151,13 @@ router.post('/register', (req, res) => {
 });
 
 /**
- * POST /api/auth/login
- * Authenticate a registered device (obtain token)
+ * POST /api/auth/challenge
+ * Request a login challenge for a registered device
  * Body: {
  *   deviceId: string
  * }
  */
-router.post('/login', (req, res) => {
+router.post('/challenge', (req, res) => {
   try {
     const { deviceId } = req.body;
 
@@ -107,29 +168,95 @@ router.post('/login', (req, res) => {
       });
     }
 
-    const user = User.findByDeviceId(deviceId);
+    const device = Device.findByDeviceId(deviceId);
 
-    if (!user) {
+    if (!device) {
       return res.status(404).json({
         success: false,
         error: 'Device not registered. Please call /auth/register first.',
       });
     }
 
+    const { challenge, expiresAt } = issueLoginChallenge(deviceId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        challenge,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error issuing challenge:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to issue challenge',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Authenticate a registered device (obtain token)
+ * Body: {
+ *   deviceId: string,
+ *   signature: string (base64 Ed25519 signature over the challenge string)
+ * }
+ */
+router.post('/login', (req, res) => {
+  try {
+    const { deviceId, signature } = req.body;
+
+    if (!deviceId || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: deviceId, signature',
+      });
+    }
+
+    const device = Device.findByDeviceId(deviceId);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not registered. Please call /auth/register first.',
+      });
+    }
+
+    const challenge = consumeLoginChallenge(deviceId);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        error: 'No active challenge. Please call /auth/challenge first.',
+      });
+    }
+
+    if (!verifyEd25519Signature(device.signingPublicKey, challenge.challenge, signature)) {
+      safeLog('Login signature rejected', { userId: device.userId, deviceId });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid challenge signature',
+      });
+    }
+
     // Generate token
-    const token = generateDeviceToken(deviceId);
+    const { token, expiresAt } = generateDeviceToken(deviceId);
 
     // Update last seen
-    user.lastSeen = new Date().toISOString();
+    const { lastSeen } = Device.updateLastSeen(device.id);
+    User.updateLastSeen(device.userId);
 
-    safeLog('Device logged in', { userId: user.id, deviceId });
+    safeLog('Device logged in', { userId: device.userId, deviceId });
 
     return res.status(200).json({
       success: true,
       data: {
-        userId: user.id,
+        userId: device.userId,
         token,
-        lastSeen: user.lastSeen,
+        expiresAt,
+        lastSeen,
       },
     });
   } catch (error) {
@@ -142,11 +269,656 @@ router.post('/login', (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Rotate the current session token (requires authentication)
+ * The presented token is invalidated and a new one is issued.
+ */
+router.post('/refresh', authMiddleware, (req, res) => {
+  try {
+    const { token, expiresAt } = generateDeviceToken(req.deviceId);
+
+    safeLog('Session refreshed', { deviceId: req.deviceId });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        token,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error refreshing session:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session token (requires authentication)
+ */
+router.post('/logout', authMiddleware, (req, res) => {
+  try {
+    revokeDeviceToken(req.deviceId);
+    realtimeService.disconnectDevice(req.deviceId);
+
+    safeLog('Device logged out', { deviceId: req.deviceId });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    console.error('Error during logout:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/phone-code
+ * Send a verification code to a phone number over WhatsApp (requires authentication)
+ * Body: {
+ *   phoneNumber: string (optional, defaults to the number given at registration)
+ * }
+ */
+router.post('/phone-code', authMiddleware, async (req, res) => {
+  try {
+    const user = User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const phoneNumber = req.body.phoneNumber || user.phoneNumber;
+
+    if (!phoneNumber || !isValidPhoneNumber(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid phoneNumber',
+      });
+    }
+
+    const { expiresAt } = await phoneVerificationService.sendCode(user.id, phoneNumber);
+
+    safeLog('Phone verification code sent', { userId: user.id, phoneNumber });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        expiresAt,
+        maxAttempts: authConfig.phoneVerification.maxAttempts,
+      },
+    });
+  } catch (error) {
+    console.error('Error sending verification code:', error.message);
+    return res.status(error.status || 502).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to send verification code',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-phone
+ * Confirm a phone verification code (requires authentication)
+ * Body: {
+ *   code: string
+ * }
+ */
+router.post('/verify-phone', authMiddleware, (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: code',
+      });
+    }
+
+    const user = User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const result = phoneVerificationService.confirmCode(user.id, code);
+
+    if (!result.verified) {
+      const failures = {
+        not_started: [400, 'No verification in progress. Please call /auth/phone-code first.'],
+        expired: [410, 'Verification code expired. Please request a new one.'],
+        invalid_code: [400, 'Invalid verification code'],
+        too_many_attempts: [429, 'Too many failed attempts. Please request a new code.'],
+      };
+      const [status, error] = failures[result.reason];
+
+      safeLog('Phone verification failed', { userId: user.id, reason: result.reason });
+
+      return res.status(status).json({
+        success: false,
+        error,
+        reason: result.reason,
+        attemptsRemaining: result.attemptsRemaining,
+      });
+    }
+
+    const verifiedUser = User.markPhoneVerified(user.id, result.phoneNumber);
+
+    safeLog('Phone number verified', { userId: user.id });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: user.id,
+        phoneVerified: true,
+        phoneVerifiedAt: verifiedUser.phoneVerifiedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error verifying phone:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify phone number',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/business-number
+ * Register the user's own WhatsApp business number (requires authentication)
+ * Body: {
+ *   phoneNumberId: string (Cloud API phone number ID, on this business account)
+ * }
+ * Its display number must be the user's verified phone number. Messages sent
+ * to it are then the user's alone (see routes/webhook.js).
+ */
+router.post('/business-number', authMiddleware, async (req, res) => {
+  try {
+    const { phoneNumberId } = req.body;
+
+    if (typeof phoneNumberId !== 'string' || !/^\d+$/.test(phoneNumberId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid phoneNumberId',
+      });
+    }
+    if (phoneNumberId === whatsappConfig.phoneNumberId) {
+      return res.status(400).json({
+        success: false,
+        error: 'phoneNumberId is the shared business number',
+      });
+    }
+
+    const user = User.findById(req.userId);
+
+    if (!user?.phoneVerified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Verify your phone number first',
+      });
+    }
+
+    let info;
+    try {
+      info = await whatsappService.getPhoneNumberInfo(phoneNumberId);
+    } catch (error) {
+      const unknown = error.upstreamStatus === 400 || error.upstreamStatus === 404;
+      return res.status(unknown ? 400 : 502).json({
+        success: false,
+        error: unknown ? 'phoneNumberId is not a number on the business account' : 'Failed to look up phone number',
+        message: error.message,
+      });
+    }
+
+    if (!info.display_phone_number || formatPhoneNumber(info.display_phone_number) !== user.normalizedPhoneNumber) {
+      return res.status(403).json({
+        success: false,
+        error: 'The business number is not your verified phone number',
+      });
+    }
+
+    User.setBusinessPhoneNumberId(user.id, phoneNumberId);
+
+    safeLog('Business number registered', { userId: user.id, phoneNumberId });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: user.id,
+        businessPhoneNumberId: phoneNumberId,
+        displayPhoneNumber: info.display_phone_number,
+      },
+    });
+  } catch (error) {
+    console.error('Error registering business number:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to register business number',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/business-number
+ * Stop routing a business number to the user (requires authentication)
+ * Its messages go through the shared routing again.
+ */
+router.delete('/business-number', authMiddleware, (req, res) => {
+  try {
+    User.setBusinessPhoneNumberId(req.userId, null);
+
+    safeLog('Business number removed', { userId: req.userId });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: req.userId,
+        businessPhoneNumberId: null,
+      },
+    });
+  } catch (error) {
+    console.error('Error removing business number:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove business number',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/prekeys
+ * Upload a signed prekey and/or a batch of one-time prekeys (requires authentication)
+ * Body: {
+ *   signedPreKey: { keyId: number, publicKey: string (base64 X25519), signature: string } (optional),
+ *   oneTimePreKeys: [{ keyId: number, publicKey: string (base64 X25519) }] (optional)
+ * }
+ * The signed prekey signature is an Ed25519 signature over the raw public key
+ * bytes, made with the device's registered signing key.
+ */
+router.post('/prekeys', authMiddleware, (req, res) => {
+  try {
+    const { signedPreKey, oneTimePreKeys = [] } = req.body;
+
+    if (!signedPreKey && oneTimePreKeys.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide signedPreKey and/or oneTimePreKeys',
+      });
+    }
+
+    if (!Array.isArray(oneTimePreKeys) || oneTimePreKeys.length > authConfig.preKeys.maxBatchSize) {
+      return res.status(400).json({
+        success: false,
+        error: `oneTimePreKeys must be an array of at most ${authConfig.preKeys.maxBatchSize} keys`,
+      });
+    }
+
+    if (oneTimePreKeys.some(k => !k || typeof k !== 'object' || k.keyId === undefined || !k.publicKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each one-time prekey requires keyId and publicKey',
+      });
+    }
+
+    if (oneTimePreKeys.some(k => !isValidX25519PublicKey(k.publicKey))) {
+      return res.status(400).json({
+        success: false,
+        error: 'One-time prekey publicKey must be a base64 raw 32-byte X25519 public key',
+      });
+    }
+
+    const device = req.device;
+
+    if (signedPreKey) {
+      const { keyId, publicKey, signature } = signedPreKey;
+
+      if (keyId === undefined || !publicKey || !signature) {
+        return res.status(400).json({
+          success: false,
+          error: 'signedPreKey requires keyId, publicKey and signature',
+        });
+      }
+
+      if (!isValidX25519PublicKey(publicKey)) {
+        return res.status(400).json({
+          success: false,
+          error: 'signedPreKey publicKey must be a base64 raw 32-byte X25519 public key',
+        });
+      }
+
+      if (!verifyEd25519Signature(device.signingPublicKey, Buffer.from(publicKey, 'base64'), signature)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid signedPreKey signature',
+        });
+      }
+
+      PreKey.replaceSigned(device.deviceId, { id: generateId('prekey_'), keyId, publicKey, signature });
+    }
+
+    // Skip key IDs the server already holds so client retries are harmless
+    const existingKeyIds = new Set(PreKey.findOneTimeByDeviceId(device.deviceId).map(k => k.keyId));
+    const accepted = oneTimePreKeys.filter(k => !existingKeyIds.has(k.keyId));
+    accepted.forEach(({ keyId, publicKey }) => {
+      PreKey.create({ id: generateId('prekey_'), deviceId: device.deviceId, type: 'one_time', keyId, publicKey });
+    });
+
+    const remaining = PreKey.countOneTime(device.deviceId);
+
+    safeLog('Prekeys uploaded', {
+      deviceId: device.deviceId,
+      signedPreKey: Boolean(signedPreKey),
+      oneTimePreKeys: accepted.length,
+      remaining,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        signedPreKeyUpdated: Boolean(signedPreKey),
+        oneTimePreKeysAccepted: accepted.length,
+        oneTimePreKeyCount: remaining,
+        lowOnPreKeys: remaining < authConfig.preKeys.lowThreshold,
+      },
+    });
+  } catch (error) {
+    console.error('Error uploading prekeys:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to upload prekeys',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/prekeys/status
+ * Report the calling device's own prekey stock (requires authentication)
+ */
+router.get('/prekeys/status', authMiddleware, (req, res) => {
+  try {
+    const signedPreKey = PreKey.findSignedByDeviceId(req.deviceId);
+    const remaining = PreKey.countOneTime(req.deviceId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        signedPreKey: signedPreKey
+          ? { keyId: signedPreKey.keyId, createdAt: signedPreKey.createdAt }
+          : null,
+        oneTimePreKeyCount: remaining,
+        lowOnPreKeys: remaining < authConfig.preKeys.lowThreshold,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching prekey status:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prekey status',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/prekeys/bundle
+ * Fetch another user's prekey bundles for session setup (requires authentication)
+ * Query: { userId: string } or { phoneNumber: string }, plus optional { deviceId: string }
+ * Returns one bundle per device that has published a signed prekey; each fetch
+ * consumes one of that device's one-time prekeys, if any are left.
+ */
+router.get('/prekeys/bundle', authMiddleware, (req, res) => {
+  try {
+    const { userId, phoneNumber, deviceId } = req.query;
+
+    if (!userId && !phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing query parameter: userId or phoneNumber',
+      });
+    }
+
+    const user = userId ? User.findById(userId) : User.findByPhoneNumber(phoneNumber);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const devices = Device.findByUserId(user.id)
+      .filter(d => !deviceId || d.deviceId === deviceId)
+      .filter(d => PreKey.findSignedByDeviceId(d.deviceId));
+
+    if (devices.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User has not published a prekey bundle',
+      });
+    }
+
+    const bundles = devices.map(device => {
+      const signedPreKey = PreKey.findSignedByDeviceId(device.deviceId);
+      const oneTimePreKey = PreKey.consumeOneTime(device.deviceId);
+      const remaining = PreKey.countOneTime(device.deviceId);
+
+      if (remaining < authConfig.preKeys.lowThreshold) {
+        console.warn(`⚠️  Prekey stock low for ${device.deviceId}: ${remaining} one-time prekeys left`);
+      }
+
+      return {
+        deviceId: device.deviceId,
+        identityKey: device.publicKey,
+        identityKeyId: device.publicKeyId,
+        signingPublicKey: device.signingPublicKey,
+        signedPreKey: {
+          keyId: signedPreKey.keyId,
+          publicKey: signedPreKey.publicKey,
+          signature: signedPreKey.signature,
+        },
+        oneTimePreKey: oneTimePreKey
+          ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+          : null,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: user.id,
+        devices: bundles,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching prekey bundle:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prekey bundle',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/keys/rotate
+ * Replace the calling device's identity keys (requires authentication)
+ * Body: {
+ *   publicKey: string (new base64 X25519 public key),
+ *   signingPublicKey: string (new base64 Ed25519 public key, optional - defaults to current),
+ *   rotationSignature: string (optional, base64 Ed25519 signature by the CURRENT signing
+ *     key over "washield-rotate:<publicKey>:<signingPublicKey>")
+ * }
+ * Omit rotationSignature only when the old private key is gone (e.g. reinstall);
+ * contacts are told whether the change was vouched for by the previous key.
+ */
+router.post('/keys/rotate', authMiddleware, (req, res) => {
+  try {
+    const { publicKey, rotationSignature } = req.body;
+
+    if (!publicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: publicKey',
+      });
+    }
+
+    const device = req.device;
+    const signingPublicKey = req.body.signingPublicKey || device.signingPublicKey;
+
+    if (Buffer.from(signingPublicKey, 'base64').length !== 32) {
+      return res.status(400).json({
+        success: false,
+        error: 'signingPublicKey must be a base64 raw 32-byte Ed25519 public key',
+      });
+    }
+
+    const publicKeyId = computeKeyFingerprint(publicKey);
+
+    if (publicKeyId === device.publicKeyId && signingPublicKey === device.signingPublicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'New keys match the current keys',
+      });
+    }
+
+    const signedByPreviousKey = Boolean(rotationSignature);
+    if (signedByPreviousKey && !verifyEd25519Signature(
+      device.signingPublicKey,
+      `washield-rotate:${publicKey}:${signingPublicKey}`,
+      rotationSignature
+    )) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rotationSignature',
+      });
+    }
+
+    const previousPublicKeyId = device.publicKeyId;
+
+    const rotated = Device.rotateKeys(device.id, {
+      publicKey,
+      publicKeyId,
+      signingPublicKey,
+      rotationSignature: signedByPreviousKey ? rotationSignature : null,
+    });
+
+    // Prekeys were signed by (and bound to) the old identity
+    PreKey.deleteByDeviceId(device.deviceId);
+
+    // Every contact that pinned the old key must re-verify the new one
+    let contactsNotified = 0;
+    if (publicKeyId !== previousPublicKeyId) {
+      Contact.findByPublicKeyId(previousPublicKeyId).forEach(contact => {
+        Contact.updatePublicKey(contact.id, publicKey, publicKeyId);
+        KeyChangeEvent.create({
+          id: generateId('keychange_'),
+          userId: contact.userId,
+          contactId: contact.id,
+          previousPublicKeyId,
+          newPublicKeyId: publicKeyId,
+          signedByPreviousKey,
+        });
+        contactsNotified++;
+      });
+    }
+
+    safeLog('Identity keys rotated', {
+      userId: device.userId,
+      deviceId: device.deviceId,
+      previousPublicKeyId,
+      publicKeyId,
+      signedByPreviousKey,
+      contactsNotified,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: device.userId,
+        deviceId: device.deviceId,
+        publicKeyId,
+        previousPublicKeyId,
+        signedByPreviousKey,
+        rotatedAt: rotated.keyRotatedAt,
+        contactsNotified,
+      },
+    });
+  } catch (error) {
+    console.error('Error rotating keys:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to rotate keys',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/keys/history
+ * Current and retired identity key fingerprints of each device (requires authentication)
+ * Query: { userId: string (optional, defaults to the caller) }
+ */
+router.get('/keys/history', authMiddleware, (req, res) => {
+  try {
+    const user = User.findById(req.query.userId || req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: user.id,
+        devices: Device.findByUserId(user.id).map(device => ({
+          deviceId: device.deviceId,
+          current: {
+            publicKeyId: device.publicKeyId,
+            signingPublicKey: device.signingPublicKey,
+            activeFrom: device.keyRotatedAt || device.createdAt,
+          },
+          history: device.keyHistory,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching key history:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch key history',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/auth/profile
  * Get current user profile (requires authentication)
  */
-router.get('/profile', (req, res) => {
+router.get('/profile', authMiddleware, (req, res) => {
   try {
     const userId = req.userId;
 
@@ -156,7 +928,9 @@ router.get('/profile', (req, res) => {
       success: true,
       data: {
         userId,
+        deviceId: req.deviceId,
         authenticated: true,
+        sessionExpiresAt: req.sessionExpiresAt,
       },
     });
   } catch (error) {
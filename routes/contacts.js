@@ -5,7 +5,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { Contact, User } = require('../models/database');
+const { Contact, User, KeyChangeEvent } = require('../models/database');
 const { generateId, computeKeyFingerprint, safeLog } = require('../utils/helpers');
 
 /**
@@ -38,6 +38,7 @@ router.post('/', (req, res) => {
     const publicKeyId = computeKeyFingerprint(publicKey);
 
     const contact = Contact.create({
+      id: generateId('contact_'),
       userId: req.userId,
       name,
       phoneNumber,
@@ -87,6 +88,66 @@ router.get('/', (req, res) => {
   }
 });
 
+/**
+ * GET /api/contacts/key-changes
+ * List "safety number changed" events for the user's contacts
+ * Query: { all: 'true' to include acknowledged events }
+ */
+router.get('/key-changes', (req, res) => {
+  try {
+    const events = KeyChangeEvent.findByUserId(req.userId, {
+      unacknowledgedOnly: req.query.all !== 'true',
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: events.length,
+        events,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching key changes:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch key changes',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/key-changes/:eventId/acknowledge
+ * Dismiss a key change event once the user has seen it
+ */
+router.post('/key-changes/:eventId/acknowledge', (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const event = KeyChangeEvent.findById(eventId);
+
+    if (!event || event.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Key change event not found',
+      });
+    }
+
+    const updated = KeyChangeEvent.acknowledge(eventId);
+
+    return res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Error acknowledging key change:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge key change',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/contacts/:contactId
  * Get a specific contact
@@ -0,0 +1,179 @@
+/**
+ * Conversation Routes
+ * List a user's conversations and manage their archive/mute/pin flags
+ */
+
+const express = require('express');
+const router = express.Router();
+const whatsappService = require('../services/whatsappService');
+const serviceWindowService = require('../services/serviceWindowService');
+const { Conversation, Message } = require('../models/database');
+const { safeLog } = require('../utils/helpers');
+
+const SETTINGS = ['archived', 'muted', 'pinned'];
+
+/**
+ * Load a conversation owned by the authenticated user, or send a 404
+ */
+function findOwnConversation(req, res) {
+  const conversation = Conversation.findById(req.params.conversationId);
+  if (!conversation || conversation.userId !== req.userId) {
+    res.status(404).json({
+      success: false,
+      error: 'Conversation not found',
+    });
+    return null;
+  }
+  return conversation;
+}
+
+/**
+ * GET /api/conversations
+ * List conversations, pinned first, then by most recent activity
+ * Query: { archived: 'true' to list archived conversations instead }
+ */
+router.get('/', (req, res) => {
+  try {
+    const archived = req.query.archived === 'true';
+    const conversations = Conversation.findByUserId(req.userId, { archived });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: conversations.length,
+        unreadTotal: conversations.reduce((sum, c) => sum + c.unreadCount, 0),
+        conversations,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/conversations/:conversationId
+ * Get a specific conversation, with the state of the number's 24-hour
+ * customer service window (outside it, only templates can be sent)
+ */
+router.get('/:conversationId', (req, res) => {
+  try {
+    const conversation = findOwnConversation(req, res);
+    if (!conversation) return;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...conversation,
+        serviceWindow: serviceWindowService.status(conversation.phoneNumber),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/conversations/:conversationId
+ * Update list flags
+ * Body: { archived?: boolean, muted?: boolean, pinned?: boolean }
+ */
+router.patch('/:conversationId', (req, res) => {
+  try {
+    const conversation = findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const settings = {};
+    for (const key of SETTINGS) {
+      if (req.body[key] === undefined) continue;
+      if (typeof req.body[key] !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: `${key} must be a boolean`,
+        });
+      }
+      settings[key] = req.body[key];
+    }
+
+    if (Object.keys(settings).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide at least one of: ${SETTINGS.join(', ')}`,
+      });
+    }
+
+    const updated = Conversation.updateSettings(conversation.id, settings);
+
+    safeLog('Conversation updated', { conversationId: conversation.id, ...settings });
+
+    return res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Error updating conversation:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update conversation',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/read
+ * Mark every received message in the conversation as read
+ */
+router.post('/:conversationId/read', async (req, res) => {
+  try {
+    const conversation = findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const unread = Message.findWhere(
+      { conversationId: conversation.id, direction: 'inbound', status: 'delivered' },
+      { orderBy: 'timestamp', direction: 'desc' }
+    );
+    unread.forEach(message => Message.updateStatus(message.id, 'read'));
+
+    const updated = Conversation.markRead(conversation.id);
+
+    // WhatsApp treats earlier messages as read along with the newest one
+    const newest = unread.find(message => message.whatsappMessageId);
+    if (newest) {
+      try {
+        await whatsappService.markMessageAsRead(newest.whatsappMessageId);
+      } catch (whatsappError) {
+        safeLog('Failed to send read receipt', {
+          conversationId: conversation.id,
+          error: whatsappError.message,
+        });
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        conversation: updated,
+        messagesRead: unread.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error marking conversation as read:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to mark conversation as read',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
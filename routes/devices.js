@@ -0,0 +1,219 @@
+/**
+ * Device Routes
+ * Link additional devices to an account, list and revoke them
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  authMiddleware,
+  generateDeviceToken,
+  revokeDeviceToken,
+  issueLinkCode,
+  consumeLinkCode,
+} = require('../middleware/auth');
+const realtimeService = require('../services/realtimeService');
+const { User, Device, PreKey } = require('../models/database');
+const { generateId, computeKeyFingerprint, safeLog } = require('../utils/helpers');
+
+/**
+ * POST /api/auth/devices/link-code
+ * Issue a short-lived code for linking a new device to the caller's account
+ * (requires authentication)
+ */
+router.post('/link-code', authMiddleware, (req, res) => {
+  try {
+    const { code, expiresAt } = issueLinkCode(req.userId, req.deviceId);
+
+    safeLog('Device link code issued', { userId: req.userId, deviceId: req.deviceId });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        code,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error issuing link code:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to issue link code',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/devices/link
+ * Redeem a link code from an existing device to add this device to its account
+ * Body: {
+ *   code: string,
+ *   deviceId: string (unique device identifier),
+ *   publicKey: string (base64 X25519 public key),
+ *   signingPublicKey: string (base64 Ed25519 public key),
+ *   name: string (optional)
+ * }
+ */
+router.post('/link', (req, res) => {
+  try {
+    const {
+      code,
+      deviceId,
+      publicKey,
+      signingPublicKey,
+      name,
+    } = req.body;
+
+    if (!code || !deviceId || !publicKey || !signingPublicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: code, deviceId, publicKey, signingPublicKey',
+      });
+    }
+
+    if (Buffer.from(signingPublicKey, 'base64').length !== 32) {
+      return res.status(400).json({
+        success: false,
+        error: 'signingPublicKey must be a base64 raw 32-byte Ed25519 public key',
+      });
+    }
+
+    if (Device.findByDeviceId(deviceId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Device already registered',
+      });
+    }
+
+    const link = consumeLinkCode(String(code).toUpperCase());
+    const user = link && User.findById(link.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired link code',
+      });
+    }
+
+    const device = Device.create({
+      id: generateId('device_'),
+      userId: user.id,
+      deviceId,
+      name,
+      publicKey,
+      publicKeyId: computeKeyFingerprint(publicKey),
+      signingPublicKey,
+      linkedBy: link.issuedBy,
+    });
+
+    const { token, expiresAt } = generateDeviceToken(deviceId);
+
+    safeLog('Device linked', {
+      userId: user.id,
+      deviceId,
+      linkedBy: link.issuedBy,
+      publicKeyId: device.publicKeyId,
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        userId: user.id,
+        deviceId: device.deviceId,
+        publicKeyId: device.publicKeyId,
+        linkedAt: device.createdAt,
+        token,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error linking device:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to link device',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/devices
+ * List the active devices of the caller's account (requires authentication)
+ */
+router.get('/', authMiddleware, (req, res) => {
+  try {
+    const devices = Device.findByUserId(req.userId).map(device => ({
+      id: device.id,
+      deviceId: device.deviceId,
+      name: device.name,
+      publicKeyId: device.publicKeyId,
+      linkedBy: device.linkedBy,
+      createdAt: device.createdAt,
+      lastSeen: device.lastSeen,
+      current: device.deviceId === req.deviceId,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: devices.length,
+        devices,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching devices:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch devices',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/devices/:id
+ * Revoke a device of the caller's account: ends its session and removes its
+ * prekeys (requires authentication)
+ */
+router.delete('/:id', authMiddleware, (req, res) => {
+  try {
+    const device = Device.findById(req.params.id);
+
+    if (!device || device.userId !== req.userId || device.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+      });
+    }
+
+    const revoked = Device.revoke(device.id);
+    revokeDeviceToken(device.deviceId);
+    realtimeService.disconnectDevice(device.deviceId);
+    PreKey.deleteByDeviceId(device.deviceId);
+
+    safeLog('Device revoked', {
+      userId: req.userId,
+      deviceId: device.deviceId,
+      revokedBy: req.deviceId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        id: device.id,
+        deviceId: device.deviceId,
+        revokedAt: revoked.revokedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error revoking device:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke device',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
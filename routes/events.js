@@ -0,0 +1,87 @@
+/**
+ * Event Stream Routes
+ * Server-Sent Events push of what happens to the account (incoming messages,
+ * status updates, reactions, ...) to each connected device, so the app
+ * doesn't have to poll. Authenticated like every other /api route.
+ */
+
+const express = require('express');
+const router = express.Router();
+const realtimeConfig = require('../config/realtime');
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Format an event as an SSE frame; the per-user sequence number is its id
+ */
+function formatEvent(event) {
+  return `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, createdAt: event.createdAt })}\n\n`;
+}
+
+/**
+ * GET /api/events/stream
+ * Open a text/event-stream of the account's events
+ * Headers: { Last-Event-ID?: id of the last event received, to resume after a reconnect }
+ * Query: { lastEventId?: same, for clients that can't set the header }
+ * Events:
+ * - message.created          { message } - an inbound message in a conversation
+ * - message_request.message  { requestId, message } - an inbound message held in a message request
+ * - message.status           { messageId, conversationId, groupId?, status, deliveryError? }
+ * - message.reaction         { messageId, conversationId, reactions } - the contact reacted
+ * - message.revoked          { messageId, conversationId } - the contact deleted a message for everyone
+ * - resync                   {} - events since Last-Event-ID are no longer available; refetch
+ * The stream closes when the session expires or the device logs out; reconnect
+ * with a fresh token and the last event id.
+ */
+router.get('/stream', (req, res) => {
+  const rawLastId = req.headers['last-event-id'] ?? req.query.lastEventId;
+  const lastSeq = rawLastId === undefined ? null : parseInt(rawLastId);
+  if (lastSeq !== null && (!/^\d+$/.test(String(rawLastId)) || lastSeq < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Last-Event-ID must be a non-negative integer',
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${realtimeConfig.reconnectMs}\n\n`);
+
+  // Missed events are written and the stream attached in the same tick, so
+  // nothing published in between is lost or sent twice
+  if (lastSeq !== null) {
+    const { events, complete } = realtimeService.eventsSince(req.userId, lastSeq);
+    if (!complete) {
+      res.write(`event: resync\ndata: {}\n\n`);
+    }
+    events.forEach(event => res.write(formatEvent(event)));
+  }
+
+  let closed = false;
+  const disconnect = realtimeService.connect(req.userId, {
+    deviceId: req.deviceId,
+    write: event => res.write(formatEvent(event)),
+    close: () => end(),
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), realtimeConfig.heartbeatMs);
+  // setTimeout can't wait longer than ~24.8 days
+  const expiry = setTimeout(() => end(), Math.min(Math.max(new Date(req.sessionExpiresAt) - Date.now(), 0), 2 ** 31 - 1));
+
+  function end() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    disconnect();
+    res.end();
+  }
+
+  req.on('close', end);
+});
+
+module.exports = router;
@@ -0,0 +1,440 @@
+/**
+ * Group Routes
+ * Group conversations: membership, admin roles, fan-out sends and the system
+ * events clients use to rotate group keys
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupService = require('../services/groupService');
+const { idempotency } = require('../middleware/idempotency');
+const { Group, GroupMember, GroupEvent, Message, MessageDelivery, User } = require('../models/database');
+const { encodeCursor, decodeCursor, isValidPhoneNumber, safeLog } = require('../utils/helpers');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Load a group the caller is an active member of, or send a 404
+ * Returns { group, user, membership }.
+ */
+function findOwnGroup(req, res) {
+  const group = Group.findById(req.params.groupId);
+  const user = User.findById(req.userId);
+  const membership = group && groupService.findMembership(group.id, user);
+
+  if (!membership) {
+    res.status(404).json({
+      success: false,
+      error: 'Group not found',
+    });
+    return null;
+  }
+  return { group, user, membership };
+}
+
+/**
+ * Like findOwnGroup, but the caller must be an admin (403 otherwise)
+ */
+function findAdminGroup(req, res) {
+  const found = findOwnGroup(req, res);
+  if (!found) return null;
+
+  if (found.membership.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Only group admins can do this',
+    });
+    return null;
+  }
+  return found;
+}
+
+/**
+ * Load an active member of the group by member id, or send a 404
+ */
+function findMember(req, res, group) {
+  const member = GroupMember.findById(req.params.memberId);
+  if (!member || member.groupId !== group.id || member.status !== 'active') {
+    res.status(404).json({
+      success: false,
+      error: 'Member not found',
+    });
+    return null;
+  }
+  return member;
+}
+
+function sendServiceError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`${fallback}:`, error.message);
+    return res.status(500).json({
+      success: false,
+      error: fallback,
+      message: error.message,
+    });
+  }
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    ...error.details,
+  });
+}
+
+/**
+ * POST /api/groups
+ * Create a group; the creator becomes its first admin
+ * Body: { name: string, members?: [phoneNumber] }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { name, members = [] } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: name',
+      });
+    }
+    if (!Array.isArray(members) || members.some(phone => typeof phone !== 'string' || !isValidPhoneNumber(phone))) {
+      return res.status(400).json({
+        success: false,
+        error: 'members must be an array of phone numbers',
+      });
+    }
+
+    const group = groupService.create(User.findById(req.userId), { name, members });
+
+    return res.status(201).json({
+      success: true,
+      data: groupService.describe(group),
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to create group');
+  }
+});
+
+/**
+ * GET /api/groups
+ * List the groups the user is a member of
+ */
+router.get('/', (req, res) => {
+  try {
+    const groups = groupService.findByUser(User.findById(req.userId));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: groups.length,
+        groups: groups.map(group => groupService.describe(group)),
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to fetch groups');
+  }
+});
+
+/**
+ * GET /api/groups/:groupId
+ * Get a group with its members
+ */
+router.get('/:groupId', (req, res) => {
+  try {
+    const found = findOwnGroup(req, res);
+    if (!found) return;
+
+    return res.status(200).json({
+      success: true,
+      data: groupService.describe(found.group),
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to fetch group');
+  }
+});
+
+/**
+ * PATCH /api/groups/:groupId
+ * Rename a group (admins only)
+ * Body: { name: string }
+ */
+router.patch('/:groupId', (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: name',
+      });
+    }
+
+    const found = findAdminGroup(req, res);
+    if (!found) return;
+
+    const group = groupService.rename(found.group, found.user, name);
+
+    return res.status(200).json({
+      success: true,
+      data: groupService.describe(group),
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to update group');
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/members
+ * Invite a phone number into the group (admins only)
+ * Body: { phoneNumber: string, role?: 'admin' | 'member' }
+ */
+router.post('/:groupId/members', (req, res) => {
+  try {
+    const { phoneNumber, role = 'member' } = req.body;
+    if (typeof phoneNumber !== 'string' || !isValidPhoneNumber(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid phoneNumber',
+      });
+    }
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'role must be one of: admin, member',
+      });
+    }
+
+    const found = findAdminGroup(req, res);
+    if (!found) return;
+
+    const { group, member } = groupService.addMember(found.group, found.user, phoneNumber, role);
+
+    safeLog('Group member added', { groupId: group.id, epoch: group.epoch });
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        member,
+        epoch: group.epoch,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to add member');
+  }
+});
+
+/**
+ * PATCH /api/groups/:groupId/members/:memberId
+ * Promote or demote a member (admins only)
+ * Body: { role: 'admin' | 'member' }
+ */
+router.patch('/:groupId/members/:memberId', (req, res) => {
+  try {
+    const found = findAdminGroup(req, res);
+    if (!found) return;
+    const member = findMember(req, res, found.group);
+    if (!member) return;
+
+    const updated = groupService.setRole(found.group, found.user, member, req.body.role);
+
+    return res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to update member');
+  }
+});
+
+/**
+ * DELETE /api/groups/:groupId/members/:memberId
+ * Remove a member (admins only; use /leave to remove yourself)
+ */
+router.delete('/:groupId/members/:memberId', (req, res) => {
+  try {
+    const found = findAdminGroup(req, res);
+    if (!found) return;
+    const member = findMember(req, res, found.group);
+    if (!member) return;
+
+    if (member.id === found.membership.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use POST /api/groups/:groupId/leave to leave a group',
+      });
+    }
+
+    const group = groupService.removeMember(found.group, found.user, member);
+
+    safeLog('Group member removed', { groupId: group.id, epoch: group.epoch });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        memberId: member.id,
+        epoch: group.epoch,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to remove member');
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/leave
+ * Leave a group
+ */
+router.post('/:groupId/leave', (req, res) => {
+  try {
+    const found = findOwnGroup(req, res);
+    if (!found) return;
+
+    const group = groupService.leave(found.group, found.user, found.membership);
+
+    safeLog('Group member left', { groupId: group.id, epoch: group.epoch });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        groupId: group.id,
+        left: true,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to leave group');
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/events
+ * Membership and settings history
+ * Query: { sinceEpoch?: number - only events that moved the epoch past this }
+ */
+router.get('/:groupId/events', (req, res) => {
+  try {
+    const found = findOwnGroup(req, res);
+    if (!found) return;
+
+    const sinceEpoch = req.query.sinceEpoch !== undefined ? parseInt(req.query.sinceEpoch) : undefined;
+    if (Number.isNaN(sinceEpoch)) {
+      return res.status(400).json({
+        success: false,
+        error: 'sinceEpoch must be a number',
+      });
+    }
+
+    const events = GroupEvent.findByGroup(found.group.id, { sinceEpoch });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        epoch: found.group.epoch,
+        count: events.length,
+        events,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to fetch group events');
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/messages
+ * Send a message to every other member
+ * Body: {
+ *   epoch: number (group epoch the payloads were encrypted for),
+ *   payloads: [{
+ *     phoneNumber: string,
+ *     encryptedContent: string (base64 ciphertext for this member),
+ *     nonce: string (base64),
+ *     signature: string (base64 Ed25519 signature over the envelope signing payload)
+ *   }]
+ * }
+ * Responds 409 with the current epoch and members if membership changed.
+ */
+router.post('/:groupId/messages', idempotency, (req, res) => {
+  try {
+    const { epoch, payloads } = req.body;
+    if (!Number.isInteger(epoch) || !Array.isArray(payloads)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: epoch, payloads',
+      });
+    }
+    const payloadFields = ['phoneNumber', 'encryptedContent', 'nonce', 'signature'];
+    if (payloads.some(p => !p || typeof p !== 'object' || payloadFields.some(field => typeof p[field] !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each payload requires phoneNumber, encryptedContent, nonce and signature',
+      });
+    }
+
+    const found = findOwnGroup(req, res);
+    if (!found) return;
+
+    const { message, deliveries } = groupService.send(found.group, found.user, req.device, { epoch, payloads });
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        messageId: message.id,
+        groupId: message.groupId,
+        epoch,
+        status: message.status,
+        deliveries: deliveries.map(delivery => ({
+          phoneNumber: delivery.phoneNumber,
+          status: delivery.status,
+        })),
+        timestamp: message.timestamp,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to send group message');
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/messages
+ * Group message history, newest first
+ * Query: { limit?: number (max 100), before?: cursor }
+ * Your own messages include per-member delivery status.
+ */
+router.get('/:groupId/messages', (req, res) => {
+  try {
+    const found = findOwnGroup(req, res);
+    if (!found) return;
+
+    let startAfter;
+    if (req.query.before !== undefined) {
+      startAfter = decodeCursor(req.query.before);
+      if (!startAfter) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+        });
+      }
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const page = Message.findPageByConversation(found.group.id, { startAfter, limit: pageSize + 1 });
+    const hasMore = page.length > pageSize;
+    const messages = page.slice(0, pageSize).map(message => (
+      message.senderId === req.userId
+        ? { ...message, deliveries: MessageDelivery.findByMessageId(message.id) }
+        : message
+    ));
+    const last = messages[messages.length - 1];
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        groupId: found.group.id,
+        messageCount: messages.length,
+        messages,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(last.timestamp, last.id) : null,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to fetch group messages');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * Message Request Routes
+ * Messages sent to the user's own business number by strangers wait here
+ * until the user accepts the sender as a contact or rejects them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const messageRequestService = require('../services/messageRequestService');
+const { MessageRequest, Message } = require('../models/database');
+
+const STATUSES = ['pending', 'accepted', 'rejected'];
+
+function sendServiceError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`${fallback}:`, error.message);
+    return res.status(500).json({
+      success: false,
+      error: fallback,
+      message: error.message,
+    });
+  }
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+  });
+}
+
+/**
+ * GET /api/message-requests
+ * The user's message requests, most recent first
+ * Query: { status?: 'pending' (default) | 'accepted' | 'rejected' }
+ */
+router.get('/', (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${STATUSES.join(', ')}`,
+      });
+    }
+
+    const requests = MessageRequest.findByUserId(req.userId, { status });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: requests.length,
+        requests,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to fetch message requests');
+  }
+});
+
+/**
+ * GET /api/message-requests/:requestId/messages
+ * Messages held in a request, oldest first
+ */
+router.get('/:requestId/messages', (req, res) => {
+  try {
+    const request = messageRequestService.findOwn(req.userId, req.params.requestId);
+    const messages = Message.findByRequest(request.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        requestId: request.id,
+        count: messages.length,
+        messages,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to fetch request messages');
+  }
+});
+
+/**
+ * POST /api/message-requests/:requestId/accept
+ * Add the sender as a contact and move their messages into a conversation
+ * Body: {
+ *   name?: string (defaults to the sender's WhatsApp profile name),
+ *   publicKey?: string (base64 X25519 public key to pin for the contact)
+ * }
+ */
+router.post('/:requestId/accept', (req, res) => {
+  try {
+    const { name, publicKey } = req.body;
+    const { request, contact, conversation } = messageRequestService.accept(req.userId, req.params.requestId, {
+      name,
+      publicKey,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        request,
+        contact,
+        conversation,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to accept message request');
+  }
+});
+
+/**
+ * POST /api/message-requests/:requestId/reject
+ * Delete the held messages; later messages from the number are dropped until
+ * the user adds it as a contact
+ */
+router.post('/:requestId/reject', (req, res) => {
+  try {
+    const request = messageRequestService.reject(req.userId, req.params.requestId);
+
+    return res.status(200).json({
+      success: true,
+      data: request,
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to reject message request');
+  }
+});
+
+module.exports = router;
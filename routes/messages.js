@@ -4,10 +4,287 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const whatsappService = require('../services/whatsappService');
-const { Message, Conversation, Contact } = require('../models/database');
-const { generateId, safeLog } = require('../utils/helpers');
+const outboundQueue = require('../services/outboundQueue');
+const { idempotency } = require('../middleware/idempotency');
+const envelopeService = require('../services/envelopeService');
+const templateService = require('../services/templateService');
+const serviceWindowService = require('../services/serviceWindowService');
+const groupService = require('../services/groupService');
+const mediaConfig = require('../config/media');
+const queueConfig = require('../config/queue');
+const whatsappConfig = require('../config/whatsapp');
+const { Message, Conversation, Contact, OutboundJob, MessageRequest, User } = require('../models/database');
+const { generateId, encodeCursor, decodeCursor, safeLog } = require('../utils/helpers');
+const { splitIntoChunks } = require('../utils/chunking');
+const { MessageSecurity } = require('../utils/envelope');
+const { buildComponents } = require('../utils/templates');
+
+const MAX_PAGE_SIZE = 100;
+
+// Per-type limits are checked once the form fields are known
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: 1,
+    fileSize: Math.max(...Object.values(mediaConfig.upload).map(policy => policy.maxBytes)),
+  },
+}).single('file');
+
+/**
+ * Parse a single-file multipart upload, reporting multer errors as API errors
+ */
+function parseUpload(req, res, next) {
+  upload(req, res, error => {
+    if (!error) return next();
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    return res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      error: tooLarge ? 'File too large' : 'Invalid upload',
+      message: error.message,
+    });
+  });
+}
+
+/**
+ * Find or create the sender's conversation with a recipient
+ * Sends a 404 and returns null if recipientContactId isn't one of the user's contacts.
+ */
+function resolveConversation(req, res, recipientPhoneNumber, recipientContactId) {
+  let contact = null;
+  if (recipientContactId) {
+    contact = Contact.findById(recipientContactId);
+    if (!contact || contact.userId !== req.userId) {
+      res.status(404).json({
+        success: false,
+        error: 'Contact not found',
+      });
+      return null;
+    }
+  }
+
+  return Conversation.findOrCreate(
+    req.userId,
+    recipientPhoneNumber,
+    contact || Contact.findByUserAndPhoneNumber(req.userId, recipientPhoneNumber)
+  );
+}
+
+/**
+ * The message a send replies to, as { messageId, whatsappMessageId }
+ * It must be a sent message in the same conversation; sends a 404/409 and
+ * returns null otherwise.
+ */
+function resolveReplyTo(res, conversation, replyToMessageId) {
+  const target = Message.findById(replyToMessageId);
+  if (!target || target.conversationId !== conversation.id) {
+    res.status(404).json({
+      success: false,
+      error: 'Message to reply to not found',
+    });
+    return null;
+  }
+
+  if (!target.whatsappMessageId || target.revokedAt) {
+    res.status(409).json({
+      success: false,
+      error: target.revokedAt
+        ? 'Message to reply to was deleted'
+        : 'Message to reply to has not been sent yet',
+    });
+    return null;
+  }
+  return { messageId: target.id, whatsappMessageId: target.whatsappMessageId };
+}
+
+/**
+ * Load a message in one of the caller's conversations, or send a 404
+ */
+function findOwnMessage(req, res) {
+  const message = Message.findById(req.params.messageId);
+  const conversation = message?.conversationId && Conversation.findById(message.conversationId);
+
+  if (!message || !conversation || conversation.userId !== req.userId) {
+    res.status(404).json({
+      success: false,
+      error: 'Message not found',
+    });
+    return null;
+  }
+  return { message, conversation };
+}
+
+/**
+ * Whether a message belongs to the caller: it's in one of their conversations,
+ * held in one of their message requests, or in a group they're a member of
+ */
+function isOwnMessage(req, message, conversation) {
+  if (conversation) return conversation.userId === req.userId;
+  if (message.requestId) return MessageRequest.findById(message.requestId)?.userId === req.userId;
+  if (message.groupId) return Boolean(groupService.findMembership(message.groupId, User.findById(req.userId)));
+  return false;
+}
+
+/**
+ * Validate a requested send time
+ * Returns { sendAt } as an ISO string, or { error } if it isn't a usable future time.
+ */
+function parseSendAt(value) {
+  const time = new Date(value);
+  if (typeof value !== 'string' || isNaN(time.getTime())) {
+    return { error: 'sendAt must be an ISO 8601 timestamp' };
+  }
+
+  const now = Date.now();
+  if (time.getTime() <= now) {
+    return { error: 'sendAt must be in the future' };
+  }
+  if (time.getTime() > now + queueConfig.maxScheduleAheadMs) {
+    return { error: `sendAt can be at most ${queueConfig.maxScheduleAheadMs / 86400000} days ahead` };
+  }
+  return { sendAt: time.toISOString() };
+}
+
+/**
+ * Load the caller's scheduled message job, or send a 404/409
+ * Only jobs that haven't been attempted yet can still be changed.
+ */
+function findScheduledJob(req, res) {
+  const job = OutboundJob.findByMessageId(req.params.messageId);
+  if (!job || job.userId !== req.userId || !job.sendAt) {
+    res.status(404).json({
+      success: false,
+      error: 'Scheduled message not found',
+    });
+    return null;
+  }
+
+  if (job.status !== 'queued' || job.attempts > 0) {
+    res.status(409).json({
+      success: false,
+      error: 'Message is already being sent',
+    });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Check the recipient's customer service window before a free-form send
+ * Returns the window status when the send may go ahead - the window is open,
+ * or allowFallback is set, the caller opted into the re-engagement template
+ * (fallbackToTemplate) and one is configured. Sends a 409 and returns null otherwise.
+ */
+function checkServiceWindow(req, res, recipientPhoneNumber, { sendAt, allowFallback = false } = {}) {
+  const serviceWindow = serviceWindowService.status(recipientPhoneNumber, sendAt ? new Date(sendAt) : new Date());
+  if (serviceWindow.open) return serviceWindow;
+
+  // Multipart sends carry it as a string
+  const fallback = allowFallback &&
+    (req.body.fallbackToTemplate === true || req.body.fallbackToTemplate === 'true');
+  if (fallback && serviceWindowService.reengagementTemplate()) return serviceWindow;
+
+  res.status(409).json({
+    success: false,
+    error: fallback
+      ? 'Recipient is outside the 24-hour customer service window and no re-engagement template is configured'
+      : 'Recipient is outside the 24-hour customer service window; only templates can be sent',
+    reason: 'service_window_closed',
+    serviceWindow,
+  });
+  return null;
+}
+
+/**
+ * Record a template message and queue it for delivery
+ * built: { components, text } from utils/templates.js buildComponents
+ */
+function queueTemplateMessage(req, conversation, { recipientPhoneNumber, recipientContactId, template, built, replyTo, sendAt }) {
+  const messageId = generateId('msg');
+  const message = Message.create({
+    id: messageId,
+    conversationId: conversation.id,
+    senderId: req.userId,
+    recipientId: recipientContactId,
+    content: built.text,
+    messageType: 'template',
+    template: { name: template.name, language: template.language },
+    security: MessageSecurity.PLAINTEXT,
+    status: sendAt ? 'scheduled' : 'pending',
+    scheduledFor: sendAt || undefined,
+    replyTo,
+  });
+  if (!sendAt) {
+    Conversation.recordMessage(conversation.id, message);
+  }
+
+  outboundQueue.enqueue({
+    messageId,
+    userId: req.userId,
+    recipientPhoneNumber,
+    kind: 'template',
+    template: { name: template.name, language: template.language, components: built.components },
+    sendAt,
+    contextMessageId: replyTo?.whatsappMessageId,
+  });
+  return message;
+}
+
+/**
+ * Send the re-engagement template in place of a free-form message to a
+ * recipient whose service window is closed (see checkServiceWindow)
+ * The original message isn't stored; the client sends it again once the
+ * recipient replies and the window reopens.
+ */
+async function sendReengagementTemplate(req, res, conversation, { recipientPhoneNumber, recipientContactId, sendAt, serviceWindow }) {
+  const { name, language } = serviceWindowService.reengagementTemplate();
+
+  let template;
+  let built;
+  try {
+    template = await templateService.findSendable(name, language);
+    built = buildComponents(template, {});
+  } catch (error) {
+    if (!error.status) throw error;
+    built = { error: error.message };
+  }
+  if (built.error) {
+    console.error('Re-engagement template unusable:', built.error);
+    return res.status(503).json({
+      success: false,
+      error: 'The re-engagement template is not available',
+      reason: 'service_window_closed',
+      serviceWindow,
+    });
+  }
+
+  const message = queueTemplateMessage(req, conversation, {
+    recipientPhoneNumber,
+    recipientContactId,
+    template,
+    built,
+    sendAt,
+  });
+
+  safeLog('Re-engagement template queued for WhatsApp', { messageId: message.id, template: template.name });
+
+  return res.status(202).json({
+    success: true,
+    data: {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      fallback: 'template',
+      template: message.template,
+      status: message.status,
+      sendAt: sendAt || undefined,
+      serviceWindow,
+      timestamp: message.timestamp,
+    },
+  });
+}
 
 /**
  * POST /api/messages/send
@@ -15,25 +292,97 @@ const { generateId, safeLog } = require('../utils/helpers');
  * Body: {
  *   recipientPhoneNumber: string,
  *   recipientContactId: string,
- *   encryptedContent: string (base64),
- *   messageType: 'text' | 'image' | 'document',
- *   publicKeyId: string (fingerprint of key used for encryption)
+ *   encryptedContent: string (base64 ciphertext),
+ *   nonce: string (base64),
+ *   signature: string (base64 Ed25519 signature over the envelope signing payload),
+ *   messageType: 'text' (attachments use /send-media),
+ *   sendAt: string (optional ISO 8601 time to send it, up to 30 days ahead),
+ *   replyToMessageId: string (optional id of the message this replies to),
+ *   fallbackToTemplate: boolean (optional, send the re-engagement template if the
+ *     recipient's service window is closed)
  * }
+ * Recipients outside their 24-hour customer service window get a 409
+ * (reason 'service_window_closed') unless fallbackToTemplate is set.
+ * The server wraps the ciphertext in a WA-Shield envelope (utils/envelope.js)
+ * stamped with the sending device's publicKeyId. Responds 202 once the message
+ * is queued; delivery is retried in the background (services/outboundQueue.js).
+ * Send an Idempotency-Key header to make retries safe (middleware/idempotency.js).
  */
-router.post('/send', async (req, res) => {
+router.post('/send', idempotency, async (req, res) => {
   try {
     const {
       recipientPhoneNumber,
       recipientContactId,
       encryptedContent,
+      nonce,
+      signature,
       messageType = 'text',
-      publicKeyId,
     } = req.body;
 
-    if (!recipientPhoneNumber || !encryptedContent) {
+    if (!recipientPhoneNumber || !encryptedContent || !nonce || !signature) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: recipientPhoneNumber, encryptedContent',
+        error: 'Missing required fields: recipientPhoneNumber, encryptedContent, nonce, signature',
+      });
+    }
+
+    let sendAt = null;
+    if (req.body.sendAt !== undefined) {
+      const schedule = parseSendAt(req.body.sendAt);
+      if (schedule.error) {
+        return res.status(400).json({
+          success: false,
+          error: schedule.error,
+        });
+      }
+      sendAt = schedule.sendAt;
+    }
+
+    if (messageType !== 'text') {
+      return res.status(400).json({
+        success: false,
+        error: 'Attachments must be sent with POST /api/messages/send-media',
+      });
+    }
+
+    let sealed;
+    try {
+      sealed = envelopeService.seal(req.device, { nonce, ciphertext: encryptedContent, signature });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Envelopes over the WhatsApp text limit go out as numbered chunks
+    const { maxTextLength, maxChunks } = whatsappConfig.chunking;
+    const { groupId, chunks } = splitIntoChunks(sealed.wire, maxTextLength);
+    if (chunks.length > maxChunks) {
+      return res.status(413).json({
+        success: false,
+        error: `Message too large (over ${maxChunks} chunks); send it as an attachment`,
+      });
+    }
+
+    const serviceWindow = checkServiceWindow(req, res, recipientPhoneNumber, { sendAt, allowFallback: true });
+    if (!serviceWindow) return;
+
+    const conversation = resolveConversation(req, res, recipientPhoneNumber, recipientContactId);
+    if (!conversation) return;
+
+    let replyTo;
+    if (req.body.replyToMessageId) {
+      replyTo = resolveReplyTo(res, conversation, req.body.replyToMessageId);
+      if (!replyTo) return;
+    }
+
+    if (!serviceWindow.open) {
+      return sendReengagementTemplate(req, res, conversation, {
+        recipientPhoneNumber,
+        recipientContactId,
+        sendAt,
+        serviceWindow,
       });
     }
 
@@ -41,47 +390,299 @@ router.post('/send', async (req, res) => {
     const messageId = generateId('msg');
     const message = Message.create({
       id: messageId,
+      conversationId: conversation.id,
       senderId: req.userId,
       recipientId: recipientContactId,
       content: encryptedContent,
       messageType,
-      publicKeyId,
-      status: 'pending',
+      publicKeyId: req.device.publicKeyId,
+      envelope: sealed.envelope,
+      security: MessageSecurity.ENCRYPTED_VERIFIED,
+      chunks: groupId ? { groupId, total: chunks.length, whatsappMessageIds: [] } : undefined,
+      status: sendAt ? 'scheduled' : 'pending',
+      scheduledFor: sendAt || undefined,
+      replyTo,
     });
+    // Scheduled messages are added to the conversation preview once sent
+    if (!sendAt) {
+      Conversation.recordMessage(conversation.id, message);
+    }
 
-    // Send via WhatsApp
-    try {
-      const result = await whatsappService.sendTextMessage(
-        recipientPhoneNumber,
-        encryptedContent // Send the encrypted payload
-      );
+    // Delivery happens in the background; the client polls /status or the history
+    outboundQueue.enqueue({
+      messageId,
+      userId: req.userId,
+      recipientPhoneNumber,
+      kind: 'text',
+      bodies: chunks,
+      sendAt,
+      contextMessageId: replyTo?.whatsappMessageId,
+    });
+
+    safeLog(sendAt ? 'Message scheduled for WhatsApp' : 'Message queued for WhatsApp', {
+      messageId,
+      chunks: chunks.length,
+      sendAt,
+    });
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        messageId: message.id,
+        conversationId: message.conversationId,
+        chunks: chunks.length,
+        status: message.status,
+        sendAt: sendAt || undefined,
+        serviceWindow,
+        timestamp: message.timestamp,
+      },
+    });
+  } catch (error) {
+    console.error('Error in /send:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
 
-      // Update message with WhatsApp ID and mark as sent
-      message.whatsappMessageId = result.messages?.[0]?.id;
-      message.status = 'sent';
+/**
+ * POST /api/messages/send-media
+ * Upload a client-encrypted attachment to WhatsApp and send it
+ * Body (multipart/form-data): {
+ *   file: encrypted blob,
+ *   recipientPhoneNumber: string,
+ *   recipientContactId: string,
+ *   messageType: 'image' | 'document' (default 'document'),
+ *   caption: string (optional, encrypted base64),
+ *   fileName: string (optional, documents only),
+ *   publicKeyId: string (fingerprint of key used for encryption),
+ *   replyToMessageId: string (optional id of the message this replies to),
+ *   fallbackToTemplate: 'true' (optional, as for /send)
+ * }
+ * The upload happens before responding; the send itself is queued (202).
+ * Send an Idempotency-Key header to make retries safe (middleware/idempotency.js).
+ */
+router.post('/send-media', parseUpload, idempotency, async (req, res) => {
+  try {
+    const {
+      recipientPhoneNumber,
+      recipientContactId,
+      messageType = 'document',
+      caption,
+      fileName,
+      publicKeyId,
+    } = req.body;
+    const file = req.file;
 
-      safeLog('Message sent via WhatsApp', { messageId, whatsappMessageId: message.whatsappMessageId });
+    if (!recipientPhoneNumber || !file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: recipientPhoneNumber, file',
+      });
+    }
 
-      return res.status(200).json({
-        success: true,
-        data: {
-          messageId: message.id,
-          whatsappMessageId: message.whatsappMessageId,
-          status: message.status,
-          timestamp: message.timestamp,
-        },
+    const policy = mediaConfig.upload[messageType];
+    if (!policy) {
+      return res.status(400).json({
+        success: false,
+        error: `messageType must be one of: ${Object.keys(mediaConfig.upload).join(', ')}`,
       });
+    }
+    if (!policy.mimeTypes.includes(file.mimetype)) {
+      return res.status(415).json({
+        success: false,
+        error: `Unsupported ${messageType} type: ${file.mimetype}`,
+        allowed: policy.mimeTypes,
+      });
+    }
+    if (file.size > policy.maxBytes) {
+      return res.status(413).json({
+        success: false,
+        error: `File too large for ${messageType} (max ${policy.maxBytes} bytes)`,
+      });
+    }
+
+    const serviceWindow = checkServiceWindow(req, res, recipientPhoneNumber, { allowFallback: true });
+    if (!serviceWindow) return;
+
+    const conversation = resolveConversation(req, res, recipientPhoneNumber, recipientContactId);
+    if (!conversation) return;
+
+    let replyTo;
+    if (req.body.replyToMessageId) {
+      replyTo = resolveReplyTo(res, conversation, req.body.replyToMessageId);
+      if (!replyTo) return;
+    }
+
+    if (!serviceWindow.open) {
+      return sendReengagementTemplate(req, res, conversation, {
+        recipientPhoneNumber,
+        recipientContactId,
+        serviceWindow,
+      });
+    }
+
+    const name = fileName || file.originalname;
+    const messageId = generateId('msg');
+    const message = Message.create({
+      id: messageId,
+      conversationId: conversation.id,
+      senderId: req.userId,
+      recipientId: recipientContactId,
+      content: caption,
+      messageType,
+      security: MessageSecurity.ENCRYPTED_UNVERIFIED, // Client-encrypted blob, not enveloped
+      media: {
+        mimeType: file.mimetype,
+        fileSize: file.size,
+        fileName: name,
+      },
+      publicKeyId,
+      status: 'pending',
+      replyTo,
+    });
+    Conversation.recordMessage(conversation.id, message);
+
+    // The upload stays inline: the file is only held in memory for this request
+    let uploaded;
+    try {
+      uploaded = await whatsappService.uploadMedia(file.buffer, file.mimetype, name);
     } catch (whatsappError) {
-      message.status = 'failed';
-      return res.status(500).json({
+      Message.updateStatus(message.id, 'failed');
+      // WhatsApp's own validation errors (400) are the client's to fix
+      return res.status(whatsappError.upstreamStatus === 400 ? 400 : 502).json({
         success: false,
-        error: 'Failed to send via WhatsApp',
+        error: 'Failed to upload media to WhatsApp',
         details: whatsappError.message,
         messageId: message.id,
+        conversationId: conversation.id,
+      });
+    }
+
+    const media = { type: messageType, id: uploaded.id };
+    if (caption) media.caption = caption;
+    if (messageType === 'document' && name) media.filename = name;
+
+    const queued = Message.update(message.id, {
+      media: { ...message.media, id: uploaded.id },
+    });
+    outboundQueue.enqueue({
+      messageId,
+      userId: req.userId,
+      recipientPhoneNumber,
+      kind: 'media',
+      media,
+      contextMessageId: replyTo?.whatsappMessageId,
+    });
+
+    safeLog('Media message queued for WhatsApp', { messageId, mediaId: uploaded.id });
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        messageId: queued.id,
+        conversationId: queued.conversationId,
+        mediaId: uploaded.id,
+        status: queued.status,
+        serviceWindow,
+        timestamp: queued.timestamp,
+      },
+    });
+  } catch (error) {
+    console.error('Error in /send-media:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/messages/send-template
+ * Send an approved message template
+ * Body: {
+ *   recipientPhoneNumber: string,
+ *   recipientContactId: string (optional),
+ *   templateName: string,
+ *   languageCode: string (e.g. 'en_US'),
+ *   parameters: { header?, body?, buttons? } (values for the placeholders, see utils/templates.js),
+ *   replyToMessageId: string (optional id of the message this replies to)
+ * }
+ * Templates are plain WhatsApp messages, not WA-Shield envelopes, and can be sent
+ * outside the customer service window. Parameters are checked against the
+ * template's placeholders before the send is queued (202).
+ */
+router.post('/send-template', idempotency, async (req, res) => {
+  try {
+    const {
+      recipientPhoneNumber,
+      recipientContactId,
+      templateName,
+      languageCode,
+      parameters = {},
+    } = req.body;
+
+    if (!recipientPhoneNumber || !templateName || !languageCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: recipientPhoneNumber, templateName, languageCode',
       });
     }
+
+    let template;
+    try {
+      template = await templateService.findSendable(templateName, languageCode);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const built = buildComponents(template, parameters);
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        ...built,
+      });
+    }
+
+    const conversation = resolveConversation(req, res, recipientPhoneNumber, recipientContactId);
+    if (!conversation) return;
+
+    let replyTo;
+    if (req.body.replyToMessageId) {
+      replyTo = resolveReplyTo(res, conversation, req.body.replyToMessageId);
+      if (!replyTo) return;
+    }
+
+    const message = queueTemplateMessage(req, conversation, {
+      recipientPhoneNumber,
+      recipientContactId,
+      template,
+      built,
+      replyTo,
+    });
+
+    safeLog('Template message queued for WhatsApp', { messageId: message.id, template: template.name });
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        messageId: message.id,
+        conversationId: message.conversationId,
+        template: message.template,
+        status: message.status,
+        serviceWindow: serviceWindowService.status(recipientPhoneNumber),
+        timestamp: message.timestamp,
+      },
+    });
   } catch (error) {
-    console.error('Error in /send:', error.message);
+    console.error('Error in /send-template:', error.message);
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -90,17 +691,350 @@ router.post('/send', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/messages/scheduled
+ * List the user's scheduled messages that haven't been sent yet, soonest first
+ */
+router.get('/scheduled', (req, res) => {
+  try {
+    const jobs = OutboundJob.findScheduledByUserId(req.userId);
+    const scheduled = jobs.map(job => {
+      const message = Message.findById(job.messageId);
+      return {
+        messageId: job.messageId,
+        conversationId: message?.conversationId,
+        recipientPhoneNumber: job.recipientPhoneNumber,
+        content: message?.content,
+        sendAt: job.sendAt,
+        createdAt: job.createdAt,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: scheduled.length,
+        messages: scheduled,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled messages:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduled messages',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/messages/scheduled/:messageId
+ * Move a scheduled message to a new send time
+ * Body: { sendAt: string (ISO 8601) }
+ */
+router.patch('/scheduled/:messageId', (req, res) => {
+  try {
+    const schedule = parseSendAt(req.body.sendAt);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error,
+      });
+    }
+
+    const job = findScheduledJob(req, res);
+    if (!job) return;
+
+    OutboundJob.update(job.id, { sendAt: schedule.sendAt, nextAttemptAt: schedule.sendAt });
+    Message.update(job.messageId, { scheduledFor: schedule.sendAt });
+
+    safeLog('Scheduled message moved', { messageId: job.messageId, sendAt: schedule.sendAt });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        messageId: job.messageId,
+        status: 'scheduled',
+        sendAt: schedule.sendAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error rescheduling message:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reschedule message',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/messages/scheduled/:messageId
+ * Cancel a scheduled message; it is removed and never sent
+ */
+router.delete('/scheduled/:messageId', (req, res) => {
+  try {
+    const job = findScheduledJob(req, res);
+    if (!job) return;
+
+    OutboundJob.delete(job.id);
+    Message.delete(job.messageId);
+
+    safeLog('Scheduled message cancelled', { messageId: job.messageId });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        messageId: job.messageId,
+        cancelled: true,
+      },
+    });
+  } catch (error) {
+    console.error('Error cancelling scheduled message:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel scheduled message',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/messages/dead-letter
+ * List the user's messages that could not be delivered after all retries
+ */
+router.get('/dead-letter', (req, res) => {
+  try {
+    const jobs = OutboundJob.findDeadByUserId(req.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: jobs.length,
+        jobs: jobs.map(job => ({
+          jobId: job.id,
+          messageId: job.messageId,
+          recipientPhoneNumber: job.recipientPhoneNumber,
+          kind: job.kind,
+          attempts: job.attempts,
+          lastError: job.lastError,
+          createdAt: job.createdAt,
+          failedAt: job.updatedAt,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching dead-letter list:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dead-letter list',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/messages/dead-letter/:jobId/resend
+ * Queue a dead message for delivery again, with a fresh set of attempts
+ */
+router.post('/dead-letter/:jobId/resend', (req, res) => {
+  try {
+    const job = OutboundJob.findById(req.params.jobId);
+    if (!job || job.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    if (job.status !== 'dead') {
+      return res.status(409).json({
+        success: false,
+        error: `Job is ${job.status}, only dead jobs can be re-sent`,
+      });
+    }
+
+    const queued = outboundQueue.retry(job.id);
+
+    safeLog('Dead message re-queued', { jobId: job.id, messageId: job.messageId });
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        jobId: queued.id,
+        messageId: queued.messageId,
+        status: queued.status,
+      },
+    });
+  } catch (error) {
+    console.error('Error re-sending message:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to re-send message',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/messages/:messageId/media
+ * Download a message's attachment through the server
+ * WhatsApp media URLs need the business access token, so devices can't fetch
+ * them directly. The blob is streamed as received (still encrypted).
+ */
+router.get('/:messageId/media', async (req, res) => {
+  try {
+    const message = Message.findById(req.params.messageId);
+    const conversation = message?.conversationId && Conversation.findById(message.conversationId);
+
+    if (!message || !conversation || conversation.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found',
+      });
+    }
+    if (!message.media?.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message has no downloadable media',
+      });
+    }
+
+    const policy = mediaConfig.download;
+    const info = await whatsappService.getMediaInfo(message.media.id);
+    const fileSize = parseInt(info.file_size);
+
+    if (!policy.mimeTypes.includes(info.mime_type)) {
+      return res.status(415).json({
+        success: false,
+        error: `Media type not allowed: ${info.mime_type}`,
+      });
+    }
+    if (fileSize > policy.maxBytes) {
+      return res.status(413).json({
+        success: false,
+        error: `Media too large (max ${policy.maxBytes} bytes)`,
+      });
+    }
+
+    const download = await whatsappService.downloadMedia(info.url);
+    const stream = download.data;
+
+    res.status(200);
+    res.set({
+      'Content-Type': info.mime_type,
+      'Cache-Control': 'private, no-store',
+    });
+    if (fileSize) res.set('Content-Length', String(fileSize));
+    if (message.media.fileName) res.attachment(message.media.fileName);
+
+    // file_size is reported by WhatsApp; enforce the limit on the bytes too
+    let received = 0;
+    stream.on('data', chunk => {
+      received += chunk.length;
+      if (received > policy.maxBytes) {
+        safeLog('Media download exceeded size limit', { messageId: message.id });
+        stream.destroy();
+        res.destroy();
+      }
+    });
+    stream.on('error', error => {
+      console.error('Error streaming media:', error.message);
+      res.destroy();
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading media:', error.message);
+    return res.status(502).json({
+      success: false,
+      error: 'Failed to download media',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/messages/:conversationId
  * Get message history for a conversation
- * Query: { limit: number (default 50) }
+ * Query: {
+ *   limit: number (default 50, max 100),
+ *   before: cursor - older messages, newest first (the default without a cursor),
+ *   after: cursor - newer messages, oldest first,
+ *   since: ISO 8601 timestamp - messages at or after this time, oldest first
+ * }
+ * nextCursor continues in the same direction. When paging backwards it is null
+ * once history is exhausted; when paging forwards it is always set so the
+ * client can poll with it later.
  */
 router.get('/:conversationId', (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { limit = 50 } = req.query;
+    const { limit = 50, before, after, since } = req.query;
+
+    if ([before, after, since].filter(value => value !== undefined).length > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use only one of before, after, since',
+      });
+    }
 
-    const messages = Message.findByConversation(conversationId, parseInt(limit));
+    const conversation = Conversation.findById(conversationId);
+    if (!conversation || conversation.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+      });
+    }
+
+    let direction = 'desc';
+    let startAfter;
+
+    if (before !== undefined || after !== undefined) {
+      startAfter = decodeCursor(before !== undefined ? before : after);
+      if (!startAfter) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+        });
+      }
+      direction = after !== undefined ? 'asc' : 'desc';
+    } else if (since !== undefined) {
+      const time = new Date(since);
+      if (isNaN(time.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'since must be an ISO 8601 timestamp',
+        });
+      }
+      // An empty id sorts before every message at that exact time
+      startAfter = { value: time.toISOString(), id: '' };
+      direction = 'asc';
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+    const page = Message.findPageByConversation(conversation.id, {
+      direction,
+      startAfter,
+      limit: pageSize + 1,
+    });
+
+    const hasMore = page.length > pageSize;
+    const messages = page.slice(0, pageSize);
+    const cursorOf = message => encodeCursor(message.timestamp, message.id);
+    const last = messages[messages.length - 1];
+
+    let nextCursor = null;
+    if (direction === 'desc') {
+      nextCursor = hasMore ? cursorOf(last) : null;
+    } else {
+      nextCursor = last ? cursorOf(last) : encodeCursor(startAfter.value, startAfter.id);
+    }
+
+    // Where to resume with `after` to catch up on newer messages later
+    let syncCursor = nextCursor;
+    if (direction === 'desc') {
+      syncCursor = messages.length > 0 ? cursorOf(messages[0]) : null;
+    }
 
     return res.status(200).json({
       success: true,
@@ -108,6 +1042,9 @@ router.get('/:conversationId', (req, res) => {
         conversationId,
         messageCount: messages.length,
         messages,
+        hasMore,
+        nextCursor,
+        syncCursor,
       },
     });
   } catch (error) {
@@ -144,6 +1081,144 @@ router.get('/status/:whatsappMessageId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/messages/:messageId/reaction
+ * React to a message with an emoji
+ * Body: { emoji: string (an empty string removes your reaction) }
+ */
+router.post('/:messageId/reaction', async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    if (typeof emoji !== 'string' || emoji.length > 16 || (emoji && !emoji.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'emoji must be a single emoji, or an empty string to remove the reaction',
+      });
+    }
+
+    const found = findOwnMessage(req, res);
+    if (!found) return;
+    const { message, conversation } = found;
+
+    if (!message.whatsappMessageId || message.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        error: message.revokedAt ? 'Message was deleted' : 'Message has not been sent yet',
+      });
+    }
+
+    if (!checkServiceWindow(req, res, conversation.phoneNumber)) return;
+
+    try {
+      await whatsappService.sendReaction(conversation.phoneNumber, message.whatsappMessageId, emoji);
+    } catch (whatsappError) {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to send reaction via WhatsApp',
+        details: whatsappError.message,
+      });
+    }
+
+    const updated = Message.setReaction(message.id, 'outbound', emoji);
+
+    safeLog('Reaction sent', { messageId: message.id, removed: !emoji });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        messageId: updated.id,
+        reactions: updated.reactions,
+      },
+    });
+  } catch (error) {
+    console.error('Error sending reaction:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to send reaction',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/messages/:messageId/revoke
+ * Delete a sent message for everyone
+ * Body: { signature: string (base64 Ed25519 signature over the revocation signing payload) }
+ * WhatsApp can't unsend a message, so the recipient's app is sent a signed
+ * revocation envelope (utils/envelope.js) and hides the message itself.
+ */
+router.post('/:messageId/revoke', async (req, res) => {
+  try {
+    const found = findOwnMessage(req, res);
+    if (!found) return;
+    const { message, conversation } = found;
+
+    if (message.direction !== 'outbound') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only messages you sent can be deleted for everyone',
+      });
+    }
+    if (message.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Message was already deleted',
+      });
+    }
+    if (!message.whatsappMessageId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Message has not been sent yet; cancel it instead',
+      });
+    }
+
+    if (!checkServiceWindow(req, res, conversation.phoneNumber)) return;
+
+    let wire;
+    try {
+      wire = envelopeService.sealRevocation(req.device, {
+        whatsappMessageId: message.whatsappMessageId,
+        signature: req.body.signature,
+      });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    try {
+      await whatsappService.sendTextMessage(conversation.phoneNumber, wire);
+    } catch (whatsappError) {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to send revocation via WhatsApp',
+        details: whatsappError.message,
+      });
+    }
+
+    const revoked = Message.revoke(message.id);
+    Conversation.clearRevokedPreview(conversation.id, message.id);
+
+    safeLog('Message deleted for everyone', { messageId: message.id });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        messageId: revoked.id,
+        revokedAt: revoked.revokedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error revoking message:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete message',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * POST /api/messages/:messageId/read
  * Mark message as read
@@ -152,16 +1227,22 @@ router.post('/:messageId/read', async (req, res) => {
   try {
     const { messageId } = req.params;
     const message = Message.findById(messageId);
+    const conversation = message?.conversationId && Conversation.findById(message.conversationId);
 
-    if (!message) {
+    if (!message || !isOwnMessage(req, message, conversation)) {
       return res.status(404).json({
         success: false,
         error: 'Message not found',
       });
     }
 
+    const wasUnread = message.direction === 'inbound' && message.status !== 'read';
+
     // Update local status
-    message.status = 'read';
+    const updated = Message.updateStatus(message.id, 'read');
+    if (conversation && wasUnread) {
+      Conversation.decrementUnread(conversation.id);
+    }
 
     // Mark in WhatsApp if we have the WhatsApp message ID
     if (message.whatsappMessageId) {
@@ -170,7 +1251,7 @@ router.post('/:messageId/read', async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: message,
+      data: updated,
     });
   } catch (error) {
     console.error('Error marking message as read:', error.message);
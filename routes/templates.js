@@ -0,0 +1,142 @@
+/**
+ * Template Routes
+ * Manage message templates on the WhatsApp business account and read their
+ * locally cached approval status. Send them with POST /api/messages/send-template.
+ */
+
+const express = require('express');
+const router = express.Router();
+const templateService = require('../services/templateService');
+const { requireAdmin } = require('../middleware/auth');
+const { Template } = require('../models/database');
+const { describeParameters } = require('../utils/templates');
+
+const STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'PAUSED', 'DISABLED'];
+
+/**
+ * A template with the placeholders a send has to fill in
+ */
+function present(template) {
+  return {
+    ...template,
+    placeholders: template.components ? describeParameters(template) : undefined,
+  };
+}
+
+function sendServiceError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`${fallback}:`, error.message);
+    return res.status(500).json({
+      success: false,
+      error: fallback,
+      message: error.message,
+    });
+  }
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+  });
+}
+
+/**
+ * GET /api/templates
+ * List templates from the local cache
+ * Query: { status?: 'APPROVED' | ..., refresh?: 'true' to sync from WhatsApp first }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${STATUSES.join(', ')}`,
+      });
+    }
+
+    const templates = await templateService.list({ status, refresh: req.query.refresh === 'true' });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        count: templates.length,
+        templates: templates.map(present),
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to fetch templates');
+  }
+});
+
+/**
+ * GET /api/templates/:name
+ * Every language of a template, with its placeholders
+ */
+router.get('/:name', (req, res) => {
+  try {
+    const templates = Template.findByName(req.params.name);
+    if (templates.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        name: req.params.name,
+        languages: templates.map(present),
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to fetch template');
+  }
+});
+
+/**
+ * POST /api/templates
+ * Submit a template for review (admins only)
+ * Body: {
+ *   name: string (lowercase letters, digits, underscores),
+ *   language: string (e.g. 'en_US'),
+ *   category: 'MARKETING' | 'UTILITY' | 'AUTHENTICATION',
+ *   components: [Cloud API template components, including a BODY],
+ *   parameterFormat?: 'POSITIONAL' | 'NAMED'
+ * }
+ * The template starts PENDING; the status webhook records approval or rejection.
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { name, language, category, components, parameterFormat } = req.body;
+    const template = await templateService.create({ name, language, category, components, parameterFormat });
+
+    return res.status(201).json({
+      success: true,
+      data: present(template),
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to create template');
+  }
+});
+
+/**
+ * DELETE /api/templates/:name
+ * Delete a template in every language (admins only)
+ */
+router.delete('/:name', requireAdmin, async (req, res) => {
+  try {
+    const removed = await templateService.remove(req.params.name);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        name: req.params.name,
+        languagesRemoved: removed,
+      },
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to delete template');
+  }
+});
+
+module.exports = router;
@@ -6,9 +6,19 @@
 const express = require('express');
 const router = express.Router();
 const whatsappService = require('../services/whatsappService');
-const { Message, Conversation } = require('../models/database');
+const chunkAssembler = require('../services/chunkAssembler');
+const envelopeService = require('../services/envelopeService');
+const templateService = require('../services/templateService');
+const serviceWindowService = require('../services/serviceWindowService');
+const webhookJournal = require('../services/webhookJournal');
+const eventBus = require('../services/eventBus');
+const messageRequestService = require('../services/messageRequestService');
+const realtimeService = require('../services/realtimeService');
+const { Message, Conversation, Contact, MessageDelivery, MessageRequest, User } = require('../models/database');
 const { validateWebhookSignature } = require('../middleware/auth');
-const { parseIncomingMessage, safeLog } = require('../utils/helpers');
+const { generateId, parseIncomingMessage, safeLog } = require('../utils/helpers');
+const { parseChunk } = require('../utils/chunking');
+const { MessageSecurity } = require('../utils/envelope');
 
 /**
  * GET /webhook
@@ -33,8 +43,8 @@ router.get('/', (req, res) => {
  * Receive incoming messages and status updates from WhatsApp
  * Meta sends:
  * - Messages (incoming text, media, templates)
- * - Status updates (sent, delivered, read)
- * - Template updates, etc.
+ * - Status updates (sent, delivered, read, failed) for messages we sent
+ * - Errors, template status updates, etc.
  */
 router.post('/', validateWebhookSignature, (req, res) => {
   try {
@@ -45,16 +55,8 @@ router.post('/', validateWebhookSignature, (req, res) => {
       return res.status(400).json({ error: 'Not a WhatsApp webhook' });
     }
 
-    // Process each entry (can have multiple)
-    if (body.entry && body.entry.length > 0) {
-      body.entry.forEach(entry => {
-        if (entry.changes && entry.changes.length > 0) {
-          entry.changes.forEach(change => {
-            handleChange(change);
-          });
-        }
-      });
-    }
+    // Journal the raw payload first so it can be replayed if a handler fails
+    webhookJournal.process(webhookJournal.record(body));
 
     // Always respond with 200 immediately
     res.status(200).json({ received: true });
@@ -64,136 +66,468 @@ router.post('/', validateWebhookSignature, (req, res) => {
   }
 });
 
+/**
+ * Publish every item in a webhook payload on the event bus
+ * A payload can batch several entries, each with several changes, and a
+ * messages change can carry any number of messages, statuses and errors.
+ * Each item goes through webhookJournal.publish, which skips redeliveries
+ * and keeps one failing item from stopping the rest.
+ * run: the journal's bookkeeping for this pass over the payload
+ */
+function dispatchWebhook(body, run) {
+  (body.entry || []).forEach(entry => {
+    (entry.changes || []).forEach(change => handleChange(change, run));
+  });
+}
+
+webhookJournal.setDispatcher(dispatchWebhook);
+
+// Events published for changes other than messages; the payload is the change value
+const FIELD_EVENTS = {
+  message_template_status_update: 'template.status',
+  message_template_quality_update: 'template.quality',
+  account_alerts: 'account.alert',
+  account_update: 'account.update',
+  phone_number_quality_update: 'phone_number.quality',
+};
+
 /**
  * Handle individual change from webhook
  */
-function handleChange(change) {
+function handleChange(change, run) {
   try {
-    const field = change.field;
-    const value = change.value;
-
-    if (field === 'messages') {
-      handleIncomingMessage(value);
-    } else if (field === 'message_status') {
-      handleMessageStatus(value);
-    } else if (field === 'message_template_status_update') {
-      handleTemplateStatusUpdate(value);
+    const value = change.value || {};
+
+    // Statuses normally arrive under messages; accept message_status too
+    if (change.field === 'messages' || change.field === 'message_status') {
+      publishMessagesChange(value, run);
+      return;
+    }
+
+    const type = FIELD_EVENTS[change.field];
+    if (!type) {
+      safeLog('Unhandled webhook field', { field: change.field });
+      return;
     }
+    webhookJournal.publish(run, null, type, value);
   } catch (error) {
     console.error('Error handling change:', error.message);
   }
 }
 
+/**
+ * A messages change: inbound messages (message.received), status updates for
+ * messages we sent (message.status), and errors WhatsApp reports (webhook.error)
+ * Payloads carry the item plus the change's metadata (the business number it
+ * concerns); inbound messages also get the sender's contact profile.
+ */
+function publishMessagesChange(value, run) {
+  const metadata = value.metadata;
+
+  (value.messages || []).forEach(message => {
+    const contact = value.contacts?.find(c => c.wa_id === message.from);
+    webhookJournal.publish(run, `message:${message.id}`, 'message.received', { message, contact, metadata });
+  });
+  // A message goes through several statuses; each one is applied once
+  (value.statuses || []).forEach(status => {
+    webhookJournal.publish(run, `status:${status.id}:${status.status}`, 'message.status', { status, metadata });
+  });
+  (value.errors || []).forEach(error => {
+    webhookJournal.publish(run, null, 'webhook.error', { error, metadata });
+  });
+}
+
+// Built-in handlers; they run before ones registered from handlers/
+eventBus.subscribe('message.received', ({ message, contact, metadata }) => handleIncomingMessage(message, {
+  phoneNumberId: metadata?.phone_number_id,
+  profileName: contact?.profile?.name,
+}), { name: 'store-message', order: 0 });
+eventBus.subscribe('message.status', ({ status }) => handleMessageStatus(status), { name: 'apply-status', order: 0 });
+eventBus.subscribe('webhook.error', ({ error }) => handleWebhookError(error), { name: 'log-error', order: 0 });
+eventBus.subscribe('template.status', value => handleTemplateStatusUpdate(value), { name: 'template-cache', order: 0 });
+
 /**
  * Handle incoming message
+ * routing: { phoneNumberId: business number it was sent to, profileName: sender's WhatsApp profile name }
  */
-function handleIncomingMessage(value) {
-  try {
-    if (!value.messages || value.messages.length === 0) return;
+function handleIncomingMessage(message, routing = {}) {
+  safeLog('Incoming message received', {
+    messageId: message.id,
+    type: message.type,
+    from: message.from,
+  });
+
+  // e.g. an unsupported message type; it's still stored below as raw JSON
+  (message.errors || []).forEach(error => handleWebhookError(error, { whatsappMessageId: message.id }));
+
+  // Anything the number sends opens its 24-hour customer service window
+  serviceWindowService.recordInbound(message.from, new Date(parseInt(message.timestamp) * 1000).toISOString());
+
+  if (message.type === 'reaction') {
+    handleReaction(message);
+    return;
+  }
+
+  // Extract message content
+  let messageContent = '';
+  let messageType = message.type;
+
+  switch (message.type) {
+    case 'text':
+      messageContent = message.text?.body || '';
+      break;
+    case 'image':
+      messageContent = message.image?.caption || '';
+      messageType = 'image';
+      break;
+    case 'document':
+      messageContent = message.document?.caption || '';
+      messageType = 'document';
+      break;
+    case 'audio':
+      messageContent = '[Audio message]';
+      messageType = 'audio';
+      break;
+    case 'video':
+      messageContent = message.video?.caption || '[Video message]';
+      messageType = 'video';
+      break;
+    default:
+      messageContent = JSON.stringify(message);
+  }
+
+  // Delete-for-everyone from a WA-Shield sender, not a message in itself
+  const revocation = message.type === 'text' ? envelopeService.openRevocation(message.from, messageContent) : null;
+  if (revocation) {
+    handleRevocation(message.from, revocation);
+    return;
+  }
 
-    const message = value.messages[0];
-    const contact = value.contacts?.[0];
+  const record = {
+    content: messageContent,
+    messageType,
+    media: extractMedia(message),
+    direction: 'inbound',
+    status: 'delivered',
+    whatsappMessageId: message.id,
+    replyTo: message.context?.id ? { whatsappMessageId: message.context.id } : undefined,
+    timestamp: new Date(parseInt(message.timestamp) * 1000).toISOString(),
+  };
 
-    safeLog('Incoming message received', {
-      messageId: message.id,
-      type: message.type,
-      from: message.from,
+  // Part of a chunked message: store it once every part has arrived
+  const chunk = message.type === 'text' ? parseChunk(messageContent) : null;
+  if (chunk) {
+    const assembled = chunkAssembler.add(message.from, chunk, {
+      whatsappMessageId: message.id,
+      contextMessageId: message.context?.id,
+      timestamp: record.timestamp,
+      phoneNumberId: routing.phoneNumberId,
     });
+    if (!assembled) {
+      safeLog('Message chunk buffered', { groupId: chunk.groupId, index: chunk.index, total: chunk.total });
+      return;
+    }
+
+    record.content = assembled.content;
+    record.timestamp = assembled.timestamp;
+    record.whatsappMessageId = assembled.whatsappMessageIds[0];
+    record.replyTo = assembled.contextMessageId ? { whatsappMessageId: assembled.contextMessageId } : undefined;
+    record.chunks = {
+      groupId: assembled.groupId,
+      total: assembled.total,
+      whatsappMessageIds: assembled.whatsappMessageIds,
+    };
+  }
+
+  // WA-Shield envelope: keep the ciphertext and record whether the sender verified
+  const opened = envelopeService.open(message.from, record.content);
+  record.content = opened.content;
+  record.security = opened.security;
+  record.envelope = opened.envelope;
+  record.publicKeyId = opened.envelope?.publicKeyId;
+  record.senderDeviceId = opened.senderDeviceId;
+  record.verificationError = opened.verificationError;
+
+  storeIncomingMessage(message.from, record, routing);
+}
 
-    // Extract message content
-    let messageContent = '';
-    let messageType = message.type;
-
-    switch (message.type) {
-      case 'text':
-        messageContent = message.text?.body || '';
-        break;
-      case 'image':
-        messageContent = message.image?.caption || '';
-        messageType = 'image';
-        break;
-      case 'document':
-        messageContent = message.document?.caption || '';
-        messageType = 'document';
-        break;
-      case 'audio':
-        messageContent = '[Audio message]';
-        messageType = 'audio';
-        break;
-      case 'video':
-        messageContent = message.video?.caption || '[Video message]';
-        messageType = 'video';
-        break;
-      default:
-        messageContent = JSON.stringify(message);
+/**
+ * Store an inbound message
+ * Sent to a business number a user registered as their own (matched by its
+ * phone_number_id): it's theirs alone, and goes to their conversation with the
+ * sender, or to their message requests if the sender is a stranger to them.
+ * Sent to the shared business number: each user talking to the sender's number
+ * gets their own copy in their conversation; if there's none, it's dropped.
+ * routing: { phoneNumberId?, profileName? } as for handleIncomingMessage
+ */
+function storeIncomingMessage(from, record, { phoneNumberId, profileName } = {}) {
+  const senderUser = User.findByPhoneNumber(from);
+  if (senderUser) {
+    record = { ...record, senderUserId: senderUser.id };
+  }
+
+  const owner = phoneNumberId ? User.findByBusinessPhoneNumberId(phoneNumberId) : null;
+  if (owner) {
+    const conversation = findOwnerConversation(owner.id, from);
+    if (conversation) {
+      addToConversation(conversation, record);
+    } else {
+      messageRequestService.receive(owner.id, from, record, profileName);
     }
+    return;
+  }
 
-    // Create a local record of the incoming message
-    // In a production system, you would:
-    // 1. Find or create a conversation
-    // 2. Store the encrypted message
-    // 3. Notify the user (push notification)
+  const conversations = findConversationsForSender(from);
 
-    const incoming = Message.create({
-      content: messageContent,
-      messageType,
-      status: 'delivered',
-      whatsappMessageId: message.id,
-      timestamp: new Date(parseInt(message.timestamp) * 1000).toISOString(),
-      // In production, map 'from' phone number to userId
+  // No user could ever see it; the raw payload stays in the webhook journal
+  if (conversations.length === 0) {
+    safeLog('Incoming message dropped: sender has no conversation', {
+      whatsappMessageId: record.whatsappMessageId,
+      phoneNumberId,
     });
+    return;
+  }
 
-    safeLog('Incoming message stored', { messageId: incoming.id });
-  } catch (error) {
-    console.error('Error handling incoming message:', error.message);
+  conversations.forEach(conversation => addToConversation(conversation, record));
+}
+
+function addToConversation(conversation, record) {
+  const incoming = Message.create({
+    id: generateId('msg'),
+    ...record,
+    replyTo: record.replyTo && resolveReplyTo(conversation.id, record.replyTo.whatsappMessageId),
+    conversationId: conversation.id,
+    senderId: conversation.contactId,
+    recipientId: conversation.userId,
+  });
+  Conversation.recordMessage(conversation.id, incoming);
+  realtimeService.notify(conversation.userId, 'message.created', { message: incoming });
+
+  safeLog('Incoming message stored', { messageId: incoming.id, conversationId: conversation.id });
+}
+
+/**
+ * A user's conversation with a number that wrote to their own business number:
+ * the existing one, or a new one if the number is their contact
+ */
+function findOwnerConversation(userId, phoneNumber) {
+  const contact = Contact.findByUserAndPhoneNumber(userId, phoneNumber);
+  return contact
+    ? Conversation.findOrCreate(userId, phoneNumber, contact)
+    : Conversation.findByUserAndPhoneNumber(userId, phoneNumber);
+}
+
+/**
+ * Point a reply at the conversation's own copy of the quoted message
+ */
+function resolveReplyTo(conversationId, whatsappMessageId) {
+  const quoted = Message.findByWhatsappMessageId(whatsappMessageId)
+    .find(message => message.conversationId === conversationId);
+  return { messageId: quoted?.id, whatsappMessageId };
+}
+
+/**
+ * Stored copies of a WhatsApp message in conversations (or message requests)
+ * with this sender, so a number can only react to or revoke messages in its
+ * own threads
+ */
+function findSenderMessages(from, whatsappMessageId) {
+  const conversationIds = new Set(Conversation.findByPhoneNumber(from).map(c => c.id));
+  const requestIds = new Set(MessageRequest.findByPhoneNumber(from).map(r => r.id));
+  return Message.findByWhatsappMessageId(whatsappMessageId)
+    .filter(message => conversationIds.has(message.conversationId) || requestIds.has(message.requestId));
+}
+
+/**
+ * Inbound emoji reaction; an empty emoji means the reaction was removed
+ */
+function handleReaction(message) {
+  const { message_id: targetId, emoji } = message.reaction || {};
+  const timestamp = new Date(parseInt(message.timestamp) * 1000).toISOString();
+
+  const targets = findSenderMessages(message.from, targetId);
+  targets.forEach(target => {
+    const reacted = Message.setReaction(target.id, 'inbound', emoji, timestamp);
+    realtimeService.notifyMessage(reacted, 'message.reaction', {
+      messageId: reacted.id,
+      conversationId: reacted.conversationId,
+      reactions: reacted.reactions,
+    });
+  });
+
+  safeLog('Reaction received', { whatsappMessageId: targetId, removed: !emoji, matched: targets.length });
+}
+
+/**
+ * Inbound delete-for-everyone; only honoured when signed by the sender's device
+ */
+function handleRevocation(from, revocation) {
+  if (!revocation.verified) {
+    safeLog('Revocation ignored', { from, reason: revocation.verificationError });
+    return;
   }
+
+  const targets = findSenderMessages(from, revocation.whatsappMessageId)
+    .filter(message => message.direction === 'inbound');
+  targets.forEach(target => {
+    Message.revoke(target.id);
+    Conversation.clearRevokedPreview(target.conversationId, target.id);
+    realtimeService.notifyMessage(target, 'message.revoked', {
+      messageId: target.id,
+      conversationId: target.conversationId,
+    });
+  });
+
+  safeLog('Message deleted by sender', { whatsappMessageId: revocation.whatsappMessageId, matched: targets.length });
 }
 
 /**
- * Handle message status update
+ * A chunked message timed out before all parts arrived: store a placeholder
+ * so the recipient can see something was lost and which parts are missing
  */
-function handleMessageStatus(value) {
+chunkAssembler.on('expired', group => {
   try {
-    if (!value.statuses || value.statuses.length === 0) return;
+    storeIncomingMessage(group.from, {
+      content: null,
+      messageType: 'text',
+      direction: 'inbound',
+      status: 'incomplete',
+      security: MessageSecurity.ENCRYPTED_UNVERIFIED,
+      verificationError: 'incomplete',
+      whatsappMessageId: group.whatsappMessageIds[0],
+      timestamp: group.timestamp,
+      chunks: {
+        groupId: group.groupId,
+        total: group.total,
+        whatsappMessageIds: group.whatsappMessageIds,
+        missing: group.missing,
+      },
+    }, { phoneNumberId: group.phoneNumberId });
+  } catch (error) {
+    console.error('Error storing incomplete message:', error.message);
+  }
+});
 
-    const status = value.statuses[0];
+/**
+ * Attachment metadata for media messages; the blob itself is fetched on demand
+ * through GET /api/messages/:messageId/media
+ */
+function extractMedia(message) {
+  const media = message[message.type];
+  if (!['image', 'document', 'audio', 'video', 'sticker'].includes(message.type) || !media?.id) {
+    return undefined;
+  }
+  return {
+    id: media.id,
+    mimeType: media.mime_type,
+    sha256: media.sha256,
+    fileName: media.filename,
+  };
+}
 
-    safeLog('Message status update', {
-      messageId: status.id,
-      status: status.status,
-      timestamp: status.timestamp,
-    });
+/**
+ * Conversations an inbound message from a phone number belongs to: existing
+ * threads with that number, plus a new one for each user who has it as a contact
+ */
+function findConversationsForSender(phoneNumber) {
+  const byUser = new Map();
 
-    // Find the message by WhatsApp ID and update status
-    // In production, query your database
-    const message = Object.values(Message.db || {})
-      .flat()
-      .find(m => m.whatsappMessageId === status.id);
+  Conversation.findByPhoneNumber(phoneNumber).forEach(conversation => {
+    byUser.set(conversation.userId, conversation);
+  });
+  Contact.findByPhoneNumber(phoneNumber).forEach(contact => {
+    byUser.set(contact.userId, Conversation.findOrCreate(contact.userId, phoneNumber, contact));
+  });
+
+  return Array.from(byUser.values());
+}
 
-    if (message) {
-      message.status = status.status; // sent, delivered, read, failed
-      safeLog('Message status updated', { messageId: status.id, status: message.status });
+// Statuses can arrive out of order (read before delivered), so they only move forward
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3 };
+
+/**
+ * Whether a status update moves a message on from its current status
+ * failed applies until the message is known to have been delivered.
+ */
+function isStatusAdvance(current, next) {
+  const rank = STATUS_RANK[current] ?? -1;
+  if (current === 'failed') return false;
+  if (next === 'failed') return rank < STATUS_RANK.delivered;
+  return next in STATUS_RANK && rank < STATUS_RANK[next];
+}
+
+/**
+ * Handle a status update (sent, delivered, read, failed) for a message we sent
+ * Chunked messages follow the status of their first chunk.
+ */
+function handleMessageStatus(status) {
+  safeLog('Message status update', {
+    messageId: status.id,
+    status: status.status,
+    timestamp: status.timestamp,
+  });
+
+  const changes = { status: status.status };
+  const error = status.errors?.[0];
+  if (status.status === 'failed' && error) {
+    changes.deliveryError = {
+      code: error.code,
+      title: error.title,
+      details: error.error_data?.details || error.message,
+    };
+  }
+
+  // A member's copy of a group message is tracked per member
+  const delivery = MessageDelivery.findByWhatsappMessageId(status.id);
+  if (delivery) {
+    if (!isStatusAdvance(delivery.status, status.status)) return;
+    MessageDelivery.update(delivery.id, changes);
+    const message = Message.findById(delivery.messageId);
+    const aggregate = MessageDelivery.aggregateStatus(delivery.messageId);
+    if (message && message.status !== aggregate) {
+      realtimeService.notifyStatus(Message.updateStatus(message.id, aggregate));
     }
-  } catch (error) {
-    console.error('Error handling message status:', error.message);
+    safeLog('Group delivery status updated', { messageId: delivery.messageId, status: status.status });
+    return;
+  }
+
+  const messages = Message.findByWhatsappMessageId(status.id);
+  if (messages.length === 0) {
+    safeLog('Status for unknown message', { whatsappMessageId: status.id, status: status.status });
+    return;
   }
+  messages.forEach(message => {
+    if (!isStatusAdvance(message.status, status.status)) return;
+    realtimeService.notifyStatus(Message.update(message.id, changes));
+    safeLog('Message status updated', { messageId: message.id, status: status.status });
+  });
+}
+
+/**
+ * An error WhatsApp reports in a webhook, e.g. for a message type it couldn't
+ * deliver to us; there's nothing to apply, so it is logged with its code
+ * context: extra fields to log, such as the message it was attached to
+ */
+function handleWebhookError(error, context = {}) {
+  console.error('WhatsApp webhook error:', JSON.stringify({
+    code: error.code,
+    title: error.title,
+    details: error.error_data?.details || error.message,
+    ...context,
+  }));
 }
 
 /**
- * Handle template status update (for template messages)
+ * Handle template status update (approval, rejection, pausing, ...)
+ * Keeps the local template copies used by /api/messages/send-template current
  */
 function handleTemplateStatusUpdate(value) {
-  try {
-    safeLog('Template status update received', {
-      templateId: value.message_template_id,
-      status: value.event,
-    });
+  safeLog('Template status update received', {
+    templateId: value.message_template_id,
+    status: value.event,
+  });
 
-    // Handle template rejection, approval, etc.
-    // This is for when you submit message templates for WhatsApp approval
-  } catch (error) {
-    console.error('Error handling template status:', error.message);
-  }
+  templateService.recordStatus(value);
 }
 
 module.exports = router;
@@ -19,15 +19,28 @@ const axios = require('axios');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const deviceRoutes = require('./routes/devices');
 const messageRoutes = require('./routes/messages');
 const contactRoutes = require('./routes/contacts');
+const conversationRoutes = require('./routes/conversations');
+const messageRequestRoutes = require('./routes/messageRequests');
+const groupRoutes = require('./routes/groups');
+const templateRoutes = require('./routes/templates');
+const adminRoutes = require('./routes/admin');
+const eventRoutes = require('./routes/events');
 const webhookRoutes = require('./routes/webhook');
 
 // Import middleware
-const { authMiddleware, validateWebhookSignature } = require('./middleware/auth');
+const { authMiddleware, requireAdmin, validateWebhookSignature } = require('./middleware/auth');
 
 // Import utilities
 const { safeLog } = require('./utils/helpers');
+const { initializeDatabase, store } = require('./models/database');
+const outboundQueue = require('./services/outboundQueue');
+const realtimeService = require('./services/realtimeService');
+
+// Features that react to webhook events (see handlers/index.js)
+require('./handlers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -43,7 +56,7 @@ app.use(cors({
     process.env.FLUTTER_APP_URL || '*',
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
 }));
 
 // Body parser with raw body capture for webhook signature verification
@@ -80,12 +93,21 @@ app.get('/health', (req, res) => {
 // Public routes (no authentication)
 app.use('/webhook', webhookRoutes);
 
-// Authentication routes (device registration/login)
+// Authentication routes (device registration/login, device linking)
+app.use('/api/auth/devices', deviceRoutes);
 app.use('/api/auth', authRoutes);
 
 // Protected routes (require authentication)
 app.use('/api/messages', authMiddleware, messageRoutes);
 app.use('/api/contacts', authMiddleware, contactRoutes);
+app.use('/api/conversations', authMiddleware, conversationRoutes);
+app.use('/api/message-requests', authMiddleware, messageRequestRoutes);
+app.use('/api/groups', authMiddleware, groupRoutes);
+app.use('/api/templates', authMiddleware, templateRoutes);
+app.use('/api/events', authMiddleware, eventRoutes);
+
+// Operator routes (authenticated admin accounts only)
+app.use('/api/admin', authMiddleware, requireAdmin, adminRoutes);
 
 // ============= 404 HANDLER =============
 
@@ -112,6 +134,12 @@ app.use((err, req, res, next) => {
 
 // ============= START SERVER =============
 
+// Apply pending schema migrations before accepting requests
+const appliedMigrations = initializeDatabase();
+
+// Deliver queued messages, including any left over from a previous run
+outboundQueue.start();
+
 const server = app.listen(PORT, () => {
   console.log('\n' + '='.repeat(50));
   console.log('🚀 WA-Shield Backend Started');
@@ -119,6 +147,9 @@ const server = app.listen(PORT, () => {
   console.log(`📍 Server running on port ${PORT}`);
   console.log(`🌐 Environment: ${NODE_ENV}`);
   console.log(`⏰ Started at: ${new Date().toISOString()}`);
+  console.log(`💾 Storage: ${store.name}${appliedMigrations.length > 0
+    ? ` (applied migrations: ${appliedMigrations.map(m => `${m.version}_${m.name}`).join(', ')})`
+    : ''}`);
   console.log('='.repeat(50));
 
   // Log configuration status (without secrets)
@@ -132,14 +163,68 @@ const server = app.listen(PORT, () => {
   console.log('\n📚 Available Endpoints:');
   console.log('  GET  /health                          - Health check');
   console.log('  POST /api/auth/register               - Register device');
-  console.log('  POST /api/auth/login                  - Login device');
+  console.log('  POST /api/auth/challenge              - Request login challenge');
+  console.log('  POST /api/auth/login                  - Login device (signed challenge)');
+  console.log('  POST /api/auth/refresh                - Rotate session token');
+  console.log('  POST /api/auth/logout                 - Revoke session token');
+  console.log('  POST /api/auth/devices/link-code      - Issue device link code');
+  console.log('  POST /api/auth/devices/link           - Link new device');
+  console.log('  GET  /api/auth/devices                - List devices');
+  console.log('  DELETE /api/auth/devices/:id          - Revoke device');
+  console.log('  POST /api/auth/phone-code             - Send phone verification code');
+  console.log('  POST /api/auth/verify-phone           - Confirm phone verification code');
+  console.log('  POST /api/auth/business-number        - Register own business number');
+  console.log('  DELETE /api/auth/business-number      - Remove own business number');
   console.log('  GET  /api/auth/profile                - Get profile');
+  console.log('  POST /api/auth/prekeys                - Upload prekeys');
+  console.log('  GET  /api/auth/prekeys/status         - Own prekey stock');
+  console.log('  GET  /api/auth/prekeys/bundle         - Fetch prekey bundle');
+  console.log('  POST /api/auth/keys/rotate            - Rotate identity keys');
+  console.log('  GET  /api/auth/keys/history           - Identity key history');
   console.log('  POST /api/messages/send               - Send encrypted message');
+  console.log('  POST /api/messages/send-media         - Send encrypted attachment');
+  console.log('  POST /api/messages/send-template      - Send an approved template');
+  console.log('  GET  /api/messages/scheduled          - List scheduled messages');
+  console.log('  PATCH /api/messages/scheduled/:messageId - Reschedule a message');
+  console.log('  DELETE /api/messages/scheduled/:messageId - Cancel a scheduled message');
+  console.log('  GET  /api/messages/dead-letter        - List undeliverable messages');
+  console.log('  POST /api/messages/dead-letter/:jobId/resend - Re-send a dead message');
+  console.log('  GET  /api/messages/:messageId/media   - Download attachment');
   console.log('  GET  /api/messages/:conversationId    - Get message history');
+  console.log('  POST /api/messages/:messageId/reaction - React to a message');
+  console.log('  POST /api/messages/:messageId/revoke  - Delete a message for everyone');
   console.log('  POST /api/messages/:messageId/read    - Mark message as read');
+  console.log('  GET  /api/conversations               - List conversations');
+  console.log('  PATCH /api/conversations/:conversationId - Archive, mute or pin');
+  console.log('  POST /api/conversations/:conversationId/read - Mark conversation as read');
+  console.log('  GET  /api/message-requests            - List message requests');
+  console.log('  GET  /api/message-requests/:requestId/messages - Messages in a request');
+  console.log('  POST /api/message-requests/:requestId/accept - Accept sender as contact');
+  console.log('  POST /api/message-requests/:requestId/reject - Reject sender');
+  console.log('  POST /api/groups                      - Create group');
+  console.log('  GET  /api/groups                      - List groups');
+  console.log('  GET  /api/groups/:groupId             - Get group and members');
+  console.log('  PATCH /api/groups/:groupId            - Rename group');
+  console.log('  POST /api/groups/:groupId/members     - Invite member');
+  console.log('  PATCH /api/groups/:groupId/members/:memberId - Change member role');
+  console.log('  DELETE /api/groups/:groupId/members/:memberId - Remove member');
+  console.log('  POST /api/groups/:groupId/leave       - Leave group');
+  console.log('  GET  /api/groups/:groupId/events      - Membership events');
+  console.log('  POST /api/groups/:groupId/messages    - Send to group');
+  console.log('  GET  /api/groups/:groupId/messages    - Group message history');
+  console.log('  GET  /api/templates                   - List message templates');
+  console.log('  GET  /api/templates/:name             - Get template placeholders');
+  console.log('  POST /api/templates                   - Submit template for review (admin)');
+  console.log('  DELETE /api/templates/:name           - Delete template (admin)');
+  console.log('  GET  /api/events/stream               - Real-time event stream (SSE)');
+  console.log('  GET  /api/admin/webhook-events        - Webhook journal (admin)');
+  console.log('  GET  /api/admin/webhook-events/:eventId - Journaled webhook event (admin)');
+  console.log('  POST /api/admin/webhook-events/:eventId/replay - Replay webhook event (admin)');
+  console.log('  POST /api/admin/webhook-events/replay - Replay webhook events in a time range (admin)');
   console.log('  POST /api/contacts                    - Add contact');
   console.log('  GET  /api/contacts                    - List contacts');
   console.log('  PUT  /api/contacts/:contactId/verify  - Verify contact');
+  console.log('  GET  /api/contacts/key-changes        - Safety number changes');
   console.log('  GET  /webhook                         - Webhook verification');
   console.log('  POST /webhook                         - Receive webhook events');
   console.log('\n' + '='.repeat(50) + '\n');
@@ -148,7 +233,11 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  outboundQueue.stop();
+  // Open event streams would otherwise keep the server from closing
+  realtimeService.closeAll();
   server.close(() => {
+    store.close();
     console.log('Server closed');
     process.exit(0);
   });
@@ -0,0 +1,107 @@
+/**
+ * Chunk Reassembly Service
+ * Buffers inbound message chunks (see utils/chunking.js) until every part of a
+ * message has arrived. Groups that don't complete in time are dropped and an
+ * 'expired' event reports which parts were missing.
+ *
+ * Buffers live in process memory, so chunks pending across a restart are lost.
+ */
+
+const EventEmitter = require('events');
+const whatsappConfig = require('../config/whatsapp');
+const { safeLog } = require('../utils/helpers');
+
+class ChunkAssembler extends EventEmitter {
+  constructor(config = whatsappConfig.chunking) {
+    super();
+    this.config = config;
+    this.pending = new Map(); // `${from}:${groupId}` -> group
+  }
+
+  /**
+   * Add a received chunk
+   * part: { whatsappMessageId, contextMessageId?, timestamp, phoneNumberId? (business number it was sent to) }
+   * Returns the reassembled message once complete:
+   *   { from, groupId, total, content, timestamp, whatsappMessageIds, contextMessageId }
+   * otherwise null.
+   */
+  add(from, chunk, part) {
+    if (chunk.total > this.config.maxChunks) {
+      safeLog('Chunk rejected: too many parts', { from, groupId: chunk.groupId, total: chunk.total });
+      return null;
+    }
+
+    const key = `${from}:${chunk.groupId}`;
+    let group = this.pending.get(key);
+
+    if (!group) {
+      group = {
+        from,
+        groupId: chunk.groupId,
+        total: chunk.total,
+        parts: new Map(),
+        firstReceivedAt: new Date().toISOString(),
+        timer: setTimeout(() => this.expire(key), this.config.reassemblyTimeoutMs),
+      };
+      group.timer.unref();
+      this.pending.set(key, group);
+    }
+
+    if (chunk.total !== group.total) {
+      safeLog('Chunk ignored: total mismatch', { from, groupId: chunk.groupId });
+      return null;
+    }
+
+    // Webhook retries can deliver the same chunk twice
+    if (!group.parts.has(chunk.index)) {
+      group.parts.set(chunk.index, { data: chunk.data, ...part });
+    }
+
+    if (group.parts.size < group.total) return null;
+
+    clearTimeout(group.timer);
+    this.pending.delete(key);
+
+    const parts = Array.from({ length: group.total }, (_, i) => group.parts.get(i + 1));
+    return {
+      from,
+      groupId: group.groupId,
+      total: group.total,
+      content: parts.map(p => p.data).join(''),
+      timestamp: parts.map(p => p.timestamp).sort()[0],
+      whatsappMessageIds: parts.map(p => p.whatsappMessageId),
+      contextMessageId: parts.find(p => p.contextMessageId)?.contextMessageId,
+    };
+  }
+
+  /**
+   * Give up on an incomplete group and report what arrived
+   */
+  expire(key) {
+    const group = this.pending.get(key);
+    if (!group) return;
+    this.pending.delete(key);
+
+    const received = Array.from(group.parts.keys()).sort((a, b) => a - b);
+    const missing = [];
+    for (let i = 1; i <= group.total; i++) {
+      if (!group.parts.has(i)) missing.push(i);
+    }
+
+    safeLog('Chunked message incomplete', { from: group.from, groupId: group.groupId, missing });
+
+    this.emit('expired', {
+      from: group.from,
+      groupId: group.groupId,
+      total: group.total,
+      received,
+      missing,
+      firstReceivedAt: group.firstReceivedAt,
+      timestamp: Array.from(group.parts.values()).map(p => p.timestamp).sort()[0],
+      whatsappMessageIds: received.map(i => group.parts.get(i).whatsappMessageId),
+      phoneNumberId: group.parts.get(received[0])?.phoneNumberId,
+    });
+  }
+}
+
+module.exports = new ChunkAssembler();
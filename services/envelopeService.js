@@ -0,0 +1,183 @@
+/**
+ * Envelope Service
+ * Seals outbound ciphertext into WA-Shield envelopes and opens inbound ones,
+ * checking signatures against the sender's registered signing keys.
+ */
+
+const { User, Device } = require('../models/database');
+const { verifyEd25519Signature, safeLog } = require('../utils/helpers');
+const {
+  ENVELOPE_VERSION,
+  MessageSecurity,
+  signingPayload,
+  validateFields,
+  buildEnvelope,
+  parseEnvelope,
+  revocationSigningPayload,
+  validateRevocationFields,
+  buildRevocation,
+  parseRevocation,
+} = require('../utils/envelope');
+
+class EnvelopeService {
+  /**
+   * Build the wire envelope for a message from the sending device
+   * The client signs; the server checks the signature before anything is sent.
+   * Throws with error.status 400 if the fields or signature are invalid.
+   */
+  seal(device, { nonce, ciphertext, signature }) {
+    const fields = { publicKeyId: device.publicKeyId, nonce, ciphertext, signature };
+
+    const invalid = validateFields(fields);
+    if (invalid) {
+      const error = new Error(invalid);
+      error.status = 400;
+      throw error;
+    }
+
+    if (!verifyEd25519Signature(device.signingPublicKey, signingPayload(fields), signature)) {
+      const error = new Error('Invalid envelope signature');
+      error.status = 400;
+      throw error;
+    }
+
+    return {
+      wire: buildEnvelope(fields),
+      envelope: { version: ENVELOPE_VERSION, publicKeyId: device.publicKeyId, nonce, signature },
+    };
+  }
+
+  /**
+   * Classify an inbound text body from a WhatsApp number
+   * Returns {
+   *   security,            - one of MessageSecurity
+   *   content,             - ciphertext for envelopes, otherwise the text itself
+   *   envelope,            - { version, publicKeyId, nonce, signature } when parsed
+   *   senderDeviceId,      - verifying device's client id
+   *   verificationError    - why an envelope couldn't be verified
+   * }
+   */
+  open(fromPhoneNumber, text) {
+    const parsed = parseEnvelope(text);
+
+    if (!parsed) {
+      return { security: MessageSecurity.PLAINTEXT, content: text };
+    }
+    if (parsed.error) {
+      return {
+        security: MessageSecurity.ENCRYPTED_UNVERIFIED,
+        content: text,
+        verificationError: parsed.error,
+      };
+    }
+
+    const { envelope } = parsed;
+    const result = {
+      security: MessageSecurity.ENCRYPTED_UNVERIFIED,
+      content: envelope.ciphertext,
+      envelope: {
+        version: envelope.version,
+        publicKeyId: envelope.publicKeyId,
+        nonce: envelope.nonce,
+        signature: envelope.signature,
+      },
+    };
+
+    const signer = this.findSigningKey(fromPhoneNumber, envelope.publicKeyId);
+    if (!signer) {
+      result.verificationError = 'unknown_sender_key';
+      return result;
+    }
+
+    if (!verifyEd25519Signature(signer.signingPublicKey, signingPayload(envelope), envelope.signature)) {
+      safeLog('Envelope signature mismatch', { from: fromPhoneNumber, publicKeyId: envelope.publicKeyId });
+      result.verificationError = 'bad_signature';
+      return result;
+    }
+
+    result.security = MessageSecurity.ENCRYPTED_VERIFIED;
+    result.senderDeviceId = signer.deviceId;
+    return result;
+  }
+
+  /**
+   * Build the wire revocation for one of the device's sent messages
+   * Throws with error.status 400 if the fields or signature are invalid.
+   */
+  sealRevocation(device, { whatsappMessageId, signature }) {
+    const fields = { publicKeyId: device.publicKeyId, whatsappMessageId, signature };
+
+    const invalid = validateRevocationFields(fields);
+    if (invalid) {
+      const error = new Error(invalid);
+      error.status = 400;
+      throw error;
+    }
+
+    if (!verifyEd25519Signature(device.signingPublicKey, revocationSigningPayload(fields), signature)) {
+      const error = new Error('Invalid revocation signature');
+      error.status = 400;
+      throw error;
+    }
+
+    return buildRevocation(fields);
+  }
+
+  /**
+   * Check an inbound revocation from a WhatsApp number
+   * Returns null if the text isn't a revocation, otherwise
+   * { verified, whatsappMessageId, senderDeviceId, verificationError }.
+   */
+  openRevocation(fromPhoneNumber, text) {
+    const parsed = parseRevocation(text);
+    if (!parsed) return null;
+    if (parsed.error) {
+      return { verified: false, verificationError: parsed.error };
+    }
+
+    const { revocation } = parsed;
+    const result = { verified: false, whatsappMessageId: revocation.whatsappMessageId };
+
+    const signer = this.findSigningKey(fromPhoneNumber, revocation.publicKeyId);
+    if (!signer) {
+      result.verificationError = 'unknown_sender_key';
+      return result;
+    }
+
+    if (!verifyEd25519Signature(signer.signingPublicKey, revocationSigningPayload(revocation), revocation.signature)) {
+      result.verificationError = 'bad_signature';
+      return result;
+    }
+
+    result.verified = true;
+    result.senderDeviceId = signer.deviceId;
+    return result;
+  }
+
+  /**
+   * Signing key registered for publicKeyId on an active device of the account
+   * that has verified this phone number - current keys first, then retired ones
+   * so messages sent just before a rotation still verify.
+   */
+  findSigningKey(phoneNumber, publicKeyId) {
+    const user = User.findByPhoneNumber(phoneNumber);
+    if (!user) return null;
+
+    const devices = Device.findByUserId(user.id);
+
+    const current = devices.find(d => d.publicKeyId === publicKeyId);
+    if (current) {
+      return { deviceId: current.deviceId, signingPublicKey: current.signingPublicKey };
+    }
+
+    for (const device of devices) {
+      const retired = device.keyHistory.find(k => k.publicKeyId === publicKeyId);
+      if (retired) {
+        return { deviceId: device.deviceId, signingPublicKey: retired.signingPublicKey };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new EnvelopeService();
@@ -0,0 +1,91 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe for typed events. The webhook router publishes
+ * what WhatsApp sends (message.received, message.status, template.status,
+ * account.alert, ...); features subscribe from their own modules (see
+ * handlers/) instead of being wired into routes/webhook.js.
+ *
+ * Handlers for an event run one after another, lowest `order` first, then in
+ * the order they were registered. A handler that throws is logged and
+ * reported back to the publisher; the remaining handlers still run.
+ */
+
+const { safeLog } = require('../utils/helpers');
+
+const DEFAULT_ORDER = 100;
+
+class EventBus {
+  constructor() {
+    this.handlers = []; // [{ type, name, order, handle, seq }]
+    this.seq = 0;
+  }
+
+  /**
+   * Register a handler for an event type, or '*' for every event
+   * handle(payload, event): event is { type, ...meta passed to publish }
+   * options: {
+   *   name: unique per type; identifies the handler in logs and webhook receipts,
+   *   order?: lower runs first (default 100; the built-in handlers use 0)
+   * }
+   * Returns a function that removes the handler again.
+   */
+  subscribe(type, handle, { name, order = DEFAULT_ORDER } = {}) {
+    if (!name) {
+      throw new Error('Event handlers need a name');
+    }
+    if (this.handlers.some(handler => handler.type === type && handler.name === name)) {
+      throw new Error(`A handler named ${name} is already registered for ${type}`);
+    }
+
+    const handler = { type, name, order, handle, seq: this.seq++ };
+    this.handlers.push(handler);
+    return () => {
+      this.handlers = this.handlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Handlers an event of this type goes to, in the order they run
+   */
+  handlersFor(type) {
+    return this.handlers
+      .filter(handler => handler.type === type || handler.type === '*')
+      .sort((a, b) => a.order - b.order || a.seq - b.seq);
+  }
+
+  /**
+   * Deliver an event to its handlers
+   * options: {
+   *   meta?: extra fields for the handlers' event argument (e.g. webhookEventId),
+   *   skip?: (name) => true for handlers to leave out, e.g. ones that already ran
+   * }
+   * Returns [{ name, error? }] for each handler that ran. A handler that returns
+   * a promise isn't waited for; if it rejects, the error is only logged.
+   */
+  publish(type, payload, { meta = {}, skip } = {}) {
+    const event = { type, ...meta };
+    const results = [];
+
+    this.handlersFor(type).forEach(handler => {
+      if (skip && skip(handler.name)) return;
+
+      try {
+        const result = handler.handle(payload, event);
+        if (result && typeof result.then === 'function') {
+          result.catch(error => console.error(`Event handler ${handler.name} failed on ${type}:`, error.message));
+        }
+        results.push({ name: handler.name });
+      } catch (error) {
+        console.error(`Event handler ${handler.name} failed on ${type}:`, error.message);
+        results.push({ name: handler.name, error });
+      }
+    });
+
+    if (results.length === 0) {
+      safeLog('Event had no handlers', { type });
+    }
+    return results;
+  }
+}
+
+module.exports = new EventBus();
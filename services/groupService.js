@@ -0,0 +1,248 @@
+/**
+ * Group Service
+ * Group membership and fan-out. WhatsApp has no groups, so a group message is
+ * sent as one WhatsApp message per member, each carrying that member's own
+ * WA-Shield envelope. Membership changes bump the group's epoch and are
+ * recorded as GroupEvents, which clients use to rotate the group key.
+ */
+
+const outboundQueue = require('./outboundQueue');
+const envelopeService = require('./envelopeService');
+const whatsappConfig = require('../config/whatsapp');
+const { Group, GroupMember, GroupEvent, Message, MessageDelivery, User } = require('../models/database');
+const { generateId, formatPhoneNumber, safeLog } = require('../utils/helpers');
+const { splitIntoChunks } = require('../utils/chunking');
+const { MessageSecurity } = require('../utils/envelope');
+
+const ROLES = ['admin', 'member'];
+
+function groupError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+class GroupService {
+  /**
+   * The user's active membership of a group, or null
+   * Membership follows the phone number, so it needs a verified one.
+   */
+  findMembership(groupId, user) {
+    if (!user?.phoneVerified) return null;
+    return GroupMember.findActive(groupId, user.normalizedPhoneNumber);
+  }
+
+  /**
+   * Groups the user is an active member of
+   */
+  findByUser(user) {
+    if (!user?.phoneVerified) return [];
+    return GroupMember.findActiveByPhoneNumber(user.normalizedPhoneNumber)
+      .map(member => Group.findById(member.groupId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Group with its active members, as returned by the API
+   */
+  describe(group) {
+    return {
+      ...group,
+      members: GroupMember.findActiveByGroup(group.id).map(member => ({
+        id: member.id,
+        phoneNumber: member.phoneNumber,
+        userId: member.userId,
+        role: member.role,
+        joinedAt: member.joinedAt,
+      })),
+    };
+  }
+
+  create(user, { name, members = [] }) {
+    if (!user.phoneVerified) {
+      throw groupError(403, 'Verify your phone number before creating a group');
+    }
+
+    const group = Group.create({ id: generateId('grp_'), name, createdBy: user.id });
+    this.addMemberRecord(group, user.normalizedPhoneNumber, 'admin', user.id);
+    this.recordEvent(group, 'created', user.id, { name });
+
+    const phoneNumbers = new Set(members.map(formatPhoneNumber));
+    phoneNumbers.delete(user.normalizedPhoneNumber);
+    phoneNumbers.forEach(phoneNumber => {
+      this.addMemberRecord(group, phoneNumber, 'member', user.id);
+      this.recordEvent(group, 'member_added', user.id, { phoneNumber, role: 'member' });
+    });
+
+    safeLog('Group created', { groupId: group.id, members: phoneNumbers.size + 1 });
+    return group;
+  }
+
+  rename(group, actor, name) {
+    const updated = Group.update(group.id, { name });
+    this.recordEvent(updated, 'renamed', actor.id, { name });
+    return updated;
+  }
+
+  addMember(group, actor, phoneNumber, role = 'member') {
+    if (GroupMember.findActive(group.id, phoneNumber)) {
+      throw groupError(409, 'Already a member of this group');
+    }
+
+    const updated = this.bumpEpoch(group);
+    const member = this.addMemberRecord(updated, phoneNumber, role, actor.id);
+    this.recordEvent(updated, 'member_added', actor.id, { phoneNumber: member.phoneNumber, role });
+    return { group: updated, member };
+  }
+
+  removeMember(group, actor, member) {
+    GroupMember.update(member.id, { status: 'removed', leftAt: new Date().toISOString() });
+    const updated = this.bumpEpoch(group);
+    this.recordEvent(updated, 'member_removed', actor.id, { phoneNumber: member.phoneNumber });
+    return updated;
+  }
+
+  /**
+   * Leave a group; if the last admin leaves, the longest-standing member takes over
+   */
+  leave(group, user, member) {
+    GroupMember.update(member.id, { status: 'left', leftAt: new Date().toISOString() });
+    const updated = this.bumpEpoch(group);
+    this.recordEvent(updated, 'member_left', user.id, { phoneNumber: member.phoneNumber });
+
+    const remaining = GroupMember.findActiveByGroup(group.id);
+    if (member.role === 'admin' && remaining.length > 0 && !remaining.some(m => m.role === 'admin')) {
+      this.setRole(updated, user, remaining[0], 'admin');
+    }
+    return updated;
+  }
+
+  /**
+   * Promote or demote a member; the key doesn't change, so neither does the epoch
+   */
+  setRole(group, actor, member, role) {
+    if (!ROLES.includes(role)) {
+      throw groupError(400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (member.role === 'admin' && role !== 'admin') {
+      const admins = GroupMember.findActiveByGroup(group.id).filter(m => m.role === 'admin');
+      if (admins.length === 1) {
+        throw groupError(409, 'A group needs at least one admin');
+      }
+    }
+
+    const updated = GroupMember.update(member.id, { role });
+    this.recordEvent(group, 'role_changed', actor.id, { phoneNumber: member.phoneNumber, role });
+    return updated;
+  }
+
+  /**
+   * Fan a message out to every other member
+   * payloads: [{ phoneNumber, encryptedContent, nonce, signature }], one per
+   * member, encrypted for the group epoch the client passes in.
+   * Returns { message, deliveries }.
+   */
+  send(group, user, device, { epoch, payloads }) {
+    if (epoch !== group.epoch) {
+      throw groupError(409, 'Group membership changed; re-encrypt for the current members', {
+        epoch: group.epoch,
+        members: GroupMember.findActiveByGroup(group.id).map(member => member.phoneNumber),
+      });
+    }
+
+    const recipients = GroupMember.findActiveByGroup(group.id)
+      .map(member => member.phoneNumber)
+      .filter(phoneNumber => phoneNumber !== user.normalizedPhoneNumber);
+    if (recipients.length === 0) {
+      throw groupError(400, 'The group has no other members');
+    }
+
+    const byPhone = new Map(payloads.map(payload => [formatPhoneNumber(String(payload.phoneNumber)), payload]));
+    const missing = recipients.filter(phoneNumber => !byPhone.has(phoneNumber));
+    const extra = Array.from(byPhone.keys()).filter(phoneNumber => !recipients.includes(phoneNumber));
+    if (missing.length > 0 || extra.length > 0) {
+      throw groupError(400, 'Send exactly one payload per other member', { missing, extra });
+    }
+
+    // Seal everything before queueing anything, so a bad payload sends nothing
+    const { maxTextLength, maxChunks } = whatsappConfig.chunking;
+    const outgoing = recipients.map(phoneNumber => {
+      const payload = byPhone.get(phoneNumber);
+      const sealed = envelopeService.seal(device, {
+        nonce: payload.nonce,
+        ciphertext: payload.encryptedContent,
+        signature: payload.signature,
+      });
+      const { chunks } = splitIntoChunks(sealed.wire, maxTextLength);
+      if (chunks.length > maxChunks) {
+        throw groupError(413, `Message too large (over ${maxChunks} chunks); send it as an attachment`);
+      }
+      return { phoneNumber, chunks };
+    });
+
+    const messageId = generateId('msg');
+    const message = Message.create({
+      id: messageId,
+      conversationId: group.id,
+      groupId: group.id,
+      senderId: user.id,
+      content: null, // Each member got their own ciphertext; see deliveries
+      messageType: 'text',
+      publicKeyId: device.publicKeyId,
+      security: MessageSecurity.ENCRYPTED_VERIFIED,
+      status: 'pending',
+    });
+
+    const deliveries = outgoing.map(({ phoneNumber, chunks }) => {
+      const delivery = MessageDelivery.create({
+        id: generateId('dlv_'),
+        messageId,
+        groupId: group.id,
+        phoneNumber,
+      });
+      outboundQueue.enqueue({
+        messageId,
+        userId: user.id,
+        recipientPhoneNumber: phoneNumber,
+        kind: 'text',
+        bodies: chunks,
+        deliveryId: delivery.id,
+      });
+      return delivery;
+    });
+
+    safeLog('Group message queued', { groupId: group.id, messageId, members: deliveries.length });
+    return { message, deliveries };
+  }
+
+  // ---- internals ----
+
+  addMemberRecord(group, phoneNumber, role, addedBy) {
+    return GroupMember.create({
+      id: generateId('gmem_'),
+      groupId: group.id,
+      phoneNumber,
+      userId: User.findByPhoneNumber(phoneNumber)?.id,
+      role,
+      addedBy,
+    });
+  }
+
+  bumpEpoch(group) {
+    return Group.update(group.id, { epoch: group.epoch + 1 });
+  }
+
+  recordEvent(group, type, actorUserId, fields = {}) {
+    return GroupEvent.create({
+      id: generateId('gevt_'),
+      groupId: group.id,
+      type,
+      actorUserId,
+      epoch: group.epoch,
+      ...fields,
+    });
+  }
+}
+
+module.exports = new GroupService();
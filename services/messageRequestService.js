@@ -0,0 +1,134 @@
+/**
+ * Message Request Service
+ * A message sent to a user's own business number by someone who is neither
+ * their contact nor already in a conversation with them is held in a message
+ * request instead. Accepting adds the number as a contact and moves the held
+ * messages into a conversation; rejecting drops them, and later messages from
+ * the number, until the user adds it as a contact themselves.
+ */
+
+const { MessageRequest, Message, Contact, Conversation } = require('../models/database');
+const realtimeService = require('./realtimeService');
+const { generateId, computeKeyFingerprint, safeLog } = require('../utils/helpers');
+
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class MessageRequestService {
+  /**
+   * Hold an inbound message for the user
+   * record: the message fields as the webhook built them
+   * displayName: the sender's WhatsApp profile name, if sent
+   * Returns the stored message, or null if the user rejected the number.
+   */
+  receive(userId, phoneNumber, record, displayName) {
+    let request = MessageRequest.findByUserAndPhoneNumber(userId, phoneNumber);
+
+    if (request?.status === 'rejected') {
+      safeLog('Message from rejected number dropped', { requestId: request.id });
+      return null;
+    }
+    if (!request) {
+      request = MessageRequest.create({ userId, phoneNumber, senderUserId: record.senderUserId });
+    } else if (request.status === 'accepted') {
+      // Accepted earlier, but the contact or conversation has since been removed
+      request = MessageRequest.update(request.id, { status: 'pending', decidedAt: null });
+    }
+
+    const message = Message.create({ id: generateId('msg'), ...record, requestId: request.id, recipientId: userId });
+
+    const changes = {
+      messageCount: request.messageCount + 1,
+      displayName: displayName || request.displayName,
+    };
+    if (!request.lastMessageAt || message.timestamp >= request.lastMessageAt) {
+      changes.lastMessage = message.content;
+      changes.lastMessageAt = message.timestamp;
+    }
+    MessageRequest.update(request.id, changes);
+    realtimeService.notify(userId, 'message_request.message', { requestId: request.id, message });
+
+    safeLog('Incoming message held as message request', { messageId: message.id, requestId: request.id });
+    return message;
+  }
+
+  /**
+   * A request owned by the user (404 otherwise)
+   */
+  findOwn(userId, requestId) {
+    const request = MessageRequest.findById(requestId);
+    if (!request || request.userId !== userId) {
+      throw requestError(404, 'Message request not found');
+    }
+    return request;
+  }
+
+  /**
+   * Add the sender as a contact and move the held messages into a conversation
+   * options: { name?: contact name (defaults to the profile name or number), publicKey?: base64 X25519 key }
+   * Reuses the user's contact for the number if they added one in the meantime.
+   * Returns { request, contact, conversation }.
+   */
+  accept(userId, requestId, { name, publicKey } = {}) {
+    const request = this.findOwn(userId, requestId);
+    if (request.status !== 'pending') {
+      throw requestError(409, `Message request is already ${request.status}`);
+    }
+
+    let contact = Contact.findByUserAndPhoneNumber(userId, request.phoneNumber);
+    if (!contact) {
+      contact = Contact.create({
+        id: generateId('contact_'),
+        userId,
+        name: name || request.displayName || request.phoneNumber,
+        phoneNumber: request.phoneNumber,
+        publicKey,
+        publicKeyId: publicKey ? computeKeyFingerprint(publicKey) : undefined,
+      });
+    }
+
+    const conversation = Conversation.findOrCreate(userId, request.phoneNumber, contact);
+    Message.findByRequest(request.id).forEach(held => {
+      const moved = Message.update(held.id, { conversationId: conversation.id, senderId: contact.id });
+      Conversation.recordMessage(conversation.id, moved);
+    });
+
+    const accepted = MessageRequest.update(request.id, {
+      status: 'accepted',
+      decidedAt: new Date().toISOString(),
+      contactId: contact.id,
+      conversationId: conversation.id,
+    });
+
+    safeLog('Message request accepted', { requestId: request.id, contactId: contact.id, conversationId: conversation.id });
+    return { request: accepted, contact, conversation: Conversation.findById(conversation.id) };
+  }
+
+  /**
+   * Drop the held messages and any later ones from the number
+   */
+  reject(userId, requestId) {
+    const request = this.findOwn(userId, requestId);
+    if (request.status !== 'pending') {
+      throw requestError(409, `Message request is already ${request.status}`);
+    }
+
+    const held = Message.findByRequest(request.id);
+    held.forEach(message => Message.delete(message.id));
+
+    const rejected = MessageRequest.update(request.id, {
+      status: 'rejected',
+      decidedAt: new Date().toISOString(),
+      messageCount: 0,
+      lastMessage: null,
+    });
+
+    safeLog('Message request rejected', { requestId: request.id, messagesDropped: held.length });
+    return rejected;
+  }
+}
+
+module.exports = new MessageRequestService();
@@ -0,0 +1,244 @@
+/**
+ * Outbound Queue
+ * Background worker that delivers queued messages to WhatsApp. Jobs live in
+ * storage (OutboundJob), so with a persistent database they survive restarts.
+ * Scheduled sends are jobs whose first attempt waits until their sendAt.
+ * Failed attempts are retried with exponential backoff; jobs that run out of
+ * attempts, or fail with a non-retryable API error, are marked dead and their
+ * message failed, and can be re-sent through the dead-letter API.
+ */
+
+const queueConfig = require('../config/queue');
+const whatsappService = require('./whatsappService');
+const serviceWindowService = require('./serviceWindowService');
+const realtimeService = require('./realtimeService');
+const { Message, Conversation, OutboundJob, MessageDelivery } = require('../models/database');
+const { generateId, safeLog } = require('../utils/helpers');
+
+class OutboundQueue {
+  constructor(config = queueConfig) {
+    this.config = config;
+    this.timer = null;
+    this.working = false;
+    this.pendingKick = false;
+  }
+
+  /**
+   * Start polling for due jobs
+   * Jobs left 'sending' by a previous process are put back in the queue; a
+   * chunk that was in flight when it stopped may be delivered twice.
+   */
+  start() {
+    if (this.timer) return;
+
+    OutboundJob.findByStatus('sending').forEach(job => {
+      OutboundJob.update(job.id, { status: 'queued' });
+    });
+
+    this.timer = setInterval(() => this.work(), this.config.pollIntervalMs);
+    this.timer.unref();
+    this.kick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue a message for delivery
+   * job: { messageId, userId, recipientPhoneNumber, kind, bodies?, media?, template?, sendAt?, contextMessageId? }
+   */
+  enqueue(job) {
+    const created = OutboundJob.create({ id: generateId('job_'), ...job });
+    this.kick();
+    return created;
+  }
+
+  /**
+   * Put a dead job back in the queue with a fresh set of attempts
+   */
+  retry(jobId) {
+    const job = OutboundJob.update(jobId, {
+      status: 'queued',
+      attempts: 0,
+      sendAt: null,
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null,
+    });
+    if (job.deliveryId) {
+      MessageDelivery.update(job.deliveryId, { status: 'pending' });
+    }
+    Message.updateStatus(job.messageId, 'pending');
+    this.kick();
+    return job;
+  }
+
+  /**
+   * Run the worker soon, without waiting for the next poll
+   */
+  kick() {
+    if (this.pendingKick) return;
+    this.pendingKick = true;
+    setImmediate(() => {
+      this.pendingKick = false;
+      this.work();
+    });
+  }
+
+  /**
+   * Deliver due jobs until none are left; only one pass runs at a time
+   */
+  async work() {
+    if (this.working) return;
+    this.working = true;
+
+    try {
+      let due = OutboundJob.findDue(this.config.batchSize);
+      while (due.length > 0) {
+        for (const job of due) {
+          await this.deliver(job);
+        }
+        due = OutboundJob.findDue(this.config.batchSize);
+      }
+    } catch (error) {
+      console.error('Outbound queue error:', error.message);
+    } finally {
+      this.working = false;
+    }
+  }
+
+  /**
+   * Make one delivery attempt
+   * WhatsApp calls don't retry on their own here: the job's nextAttemptAt is
+   * the only backoff, so a failing recipient doesn't hold up the worker.
+   * The job is read again first: while earlier jobs in the batch were being
+   * sent it may have been rescheduled or cancelled.
+   */
+  async deliver(job) {
+    job = OutboundJob.findById(job.id);
+    if (!job || job.status !== 'queued' || job.nextAttemptAt > new Date().toISOString()) return;
+
+    if (job.sendAt && job.attempts === 0) {
+      Message.updateStatus(job.messageId, 'pending');
+    }
+    job = OutboundJob.update(job.id, { status: 'sending', attempts: job.attempts + 1 });
+
+    try {
+      // WhatsApp would refuse it anyway; fail with a clear reason instead
+      if (job.kind !== 'template' && !serviceWindowService.status(job.recipientPhoneNumber).open) {
+        const error = new Error('Recipient is outside the 24-hour customer service window');
+        error.retryable = false;
+        throw error;
+      }
+
+      if (job.kind === 'media') {
+        const result = await whatsappService.sendMediaMessage(
+          job.recipientPhoneNumber,
+          job.media.type,
+          { id: job.media.id, caption: job.media.caption, filename: job.media.filename },
+          { contextMessageId: job.contextMessageId, retry: false }
+        );
+        job = OutboundJob.update(job.id, { sentIds: [result.messages?.[0]?.id] });
+      } else if (job.kind === 'template') {
+        const result = await whatsappService.sendTemplateMessage(
+          job.recipientPhoneNumber,
+          job.template.name,
+          job.template.language,
+          job.template.components,
+          { contextMessageId: job.contextMessageId, retry: false }
+        );
+        job = OutboundJob.update(job.id, { sentIds: [result.messages?.[0]?.id] });
+      } else {
+        // Resume after the chunks that already went out; a reply quotes on the first one
+        for (let i = job.sentIds.length; i < job.bodies.length; i++) {
+          const result = await whatsappService.sendTextMessage(job.recipientPhoneNumber, job.bodies[i], {
+            contextMessageId: i === 0 ? job.contextMessageId : undefined,
+            retry: false,
+          });
+          job = OutboundJob.update(job.id, { sentIds: [...job.sentIds, result.messages?.[0]?.id] });
+        }
+      }
+
+      OutboundJob.update(job.id, { status: 'sent', lastError: null });
+      this.markSent(job);
+      safeLog('Queued message delivered', { messageId: job.messageId, attempts: job.attempts });
+    } catch (error) {
+      this.handleFailure(job, error);
+    }
+  }
+
+  markSent(job) {
+    // One member's copy of a group message
+    if (job.deliveryId) {
+      MessageDelivery.update(job.deliveryId, { status: 'sent', whatsappMessageId: job.sentIds[0] });
+      this.updateStatus(job.messageId, MessageDelivery.aggregateStatus(job.messageId));
+      return;
+    }
+
+    const message = Message.findById(job.messageId);
+    if (!message) return;
+
+    const changes = {
+      whatsappMessageId: job.sentIds[0],
+      chunks: message.chunks ? { ...message.chunks, whatsappMessageIds: job.sentIds } : undefined,
+      status: 'sent',
+    };
+    // Scheduled messages join the conversation when they actually go out
+    if (message.scheduledFor) {
+      changes.timestamp = new Date().toISOString();
+    }
+
+    const sent = Message.update(message.id, changes);
+    if (message.scheduledFor) {
+      Conversation.recordMessage(sent.conversationId, sent);
+    }
+    realtimeService.notifyStatus(sent);
+  }
+
+  /**
+   * Set a message's status and tell the sender's devices if it changed
+   */
+  updateStatus(messageId, status) {
+    const message = Message.findById(messageId);
+    if (!message || message.status === status) return;
+    realtimeService.notifyStatus(Message.updateStatus(messageId, status));
+  }
+
+  handleFailure(job, error) {
+    const exhausted = job.attempts >= this.config.maxAttempts || error.retryable === false;
+
+    if (exhausted) {
+      OutboundJob.update(job.id, { status: 'dead', lastError: error.message });
+      if (job.deliveryId) {
+        MessageDelivery.update(job.deliveryId, { status: 'failed' });
+        this.updateStatus(job.messageId, MessageDelivery.aggregateStatus(job.messageId));
+      } else {
+        this.updateStatus(job.messageId, 'failed');
+      }
+      safeLog('Queued message moved to dead-letter list', {
+        messageId: job.messageId,
+        attempts: job.attempts,
+        error: error.message,
+      });
+      return;
+    }
+
+    const delay = Math.min(
+      this.config.backoffMs * Math.pow(2, job.attempts - 1),
+      this.config.maxBackoffMs
+    );
+    OutboundJob.update(job.id, {
+      status: 'queued',
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+    });
+    safeLog('Queued message delivery failed, will retry', {
+      messageId: job.messageId,
+      attempts: job.attempts,
+      retryInMs: delay,
+    });
+  }
+}
+
+module.exports = new OutboundQueue();
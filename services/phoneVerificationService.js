@@ -0,0 +1,92 @@
+/**
+ * Phone Verification Service
+ * Proves phone number ownership with a one-time code sent over WhatsApp
+ */
+
+const crypto = require('crypto');
+const whatsappService = require('./whatsappService');
+const authConfig = require('../config/auth');
+
+class PhoneVerificationService {
+  constructor() {
+    this.config = authConfig.phoneVerification;
+    this.pending = {}; // userId -> pending verification (in production, use a database)
+  }
+
+  /**
+   * Generate a code and send it to the phone number via the authentication template
+   * Throws if a code was sent too recently or the WhatsApp request fails.
+   */
+  async sendCode(userId, phoneNumber) {
+    const existing = this.pending[userId];
+    if (existing && existing.phoneNumber === phoneNumber &&
+        Date.now() - new Date(existing.sentAt).getTime() < this.config.resendIntervalMs) {
+      const error = new Error('Verification code sent recently, please wait before requesting another');
+      error.status = 429;
+      throw error;
+    }
+
+    const code = crypto.randomInt(0, 10 ** this.config.codeLength)
+      .toString()
+      .padStart(this.config.codeLength, '0');
+
+    await whatsappService.sendTemplateMessage(
+      phoneNumber,
+      this.config.templateName,
+      this.config.languageCode,
+      [
+        { type: 'body', parameters: [{ type: 'text', text: code }] },
+        // Authentication templates also carry the code on their copy-code button
+        { type: 'button', sub_type: 'url', index: '0', parameters: [{ type: 'text', text: code }] },
+      ]
+    );
+
+    const now = Date.now();
+    this.pending[userId] = {
+      phoneNumber,
+      codeHash: this.hashCode(code),
+      attempts: 0,
+      sentAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.config.ttlMs).toISOString(),
+    };
+
+    return { phoneNumber, expiresAt: this.pending[userId].expiresAt };
+  }
+
+  /**
+   * Check a submitted code
+   * Returns { verified: true, phoneNumber } or { verified: false, reason, attemptsRemaining }
+   */
+  confirmCode(userId, code) {
+    const pending = this.pending[userId];
+
+    if (!pending) {
+      return { verified: false, reason: 'not_started' };
+    }
+
+    if (new Date(pending.expiresAt) <= new Date()) {
+      delete this.pending[userId];
+      return { verified: false, reason: 'expired' };
+    }
+
+    pending.attempts++;
+
+    if (!crypto.timingSafeEqual(pending.codeHash, this.hashCode(String(code)))) {
+      const attemptsRemaining = this.config.maxAttempts - pending.attempts;
+      if (attemptsRemaining <= 0) {
+        delete this.pending[userId];
+        return { verified: false, reason: 'too_many_attempts', attemptsRemaining: 0 };
+      }
+      return { verified: false, reason: 'invalid_code', attemptsRemaining };
+    }
+
+    delete this.pending[userId];
+    return { verified: true, phoneNumber: pending.phoneNumber };
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest();
+  }
+}
+
+module.exports = new PhoneVerificationService();
@@ -0,0 +1,136 @@
+/**
+ * Real-time Service
+ * Pushes what happens to an account (messages arriving, status updates, ...)
+ * to its devices' open event streams (GET /api/events/stream).
+ *
+ * Every event is stored with a per-user sequence number first, which doubles
+ * as the stream's event id, so a device that drops off reconnects with the
+ * last id it saw and gets what it missed before the live events. Events older
+ * than the retention period are purged; a device that's been away longer is
+ * sent a resync event and should refetch its conversations.
+ */
+
+const realtimeConfig = require('../config/realtime');
+const { RealtimeEvent, User } = require('../models/database');
+const { safeLog } = require('../utils/helpers');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+class RealtimeService {
+  constructor(config = realtimeConfig) {
+    this.config = config;
+    this.streams = new Map(); // userId -> Set of { deviceId, write, close }
+    this.lastPurge = 0;
+  }
+
+  /**
+   * Record an event for a user and push it to their connected devices
+   * Returns the stored event.
+   */
+  notify(userId, type, data) {
+    if (!userId) return null;
+
+    const now = Date.now();
+    if (now - this.lastPurge > PURGE_INTERVAL_MS) {
+      this.lastPurge = now;
+      RealtimeEvent.purgeBefore(new Date(now - this.config.retentionMs).toISOString());
+    }
+
+    const seq = User.nextEventSeq(userId);
+    if (seq === null) return null;
+    const event = RealtimeEvent.create({ userId, seq, type, data });
+
+    (this.streams.get(userId) || []).forEach(stream => stream.write(event));
+    return event;
+  }
+
+  /**
+   * Push a message change to the user it belongs to: the recipient of an
+   * inbound message, the sender of an outbound one
+   */
+  notifyMessage(message, type, data) {
+    if (!message) return null;
+    const userId = message.direction === 'inbound' ? message.recipientId : message.senderId;
+    return this.notify(userId, type, data);
+  }
+
+  /**
+   * The message's status, for message.status events
+   */
+  notifyStatus(message) {
+    return this.notifyMessage(message, 'message.status', {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      groupId: message.groupId,
+      status: message.status,
+      deliveryError: message.deliveryError,
+    });
+  }
+
+  /**
+   * Events a reconnecting device missed since lastSeq, oldest first
+   * Returns { events, complete }; complete is false when some were purged,
+   * there are more than maxReplay, or lastSeq is past the user's latest event
+   * (an id this account never issued), and the device has to resync.
+   */
+  eventsSince(userId, lastSeq) {
+    const latestSeq = User.findById(userId)?.eventSeq || 0;
+    const oldest = RealtimeEvent.findOldest(userId);
+    const events = RealtimeEvent.findAfter(userId, lastSeq, this.config.maxReplay + 1);
+    const purged = lastSeq < latestSeq && (!oldest || oldest.seq > lastSeq + 1);
+
+    return {
+      events: events.slice(0, this.config.maxReplay),
+      complete: lastSeq <= latestSeq && !purged && events.length <= this.config.maxReplay,
+    };
+  }
+
+  /**
+   * Attach a device's stream
+   * stream: { deviceId, write(event), close() }
+   * Returns a function that detaches it again.
+   */
+  connect(userId, stream) {
+    if (!this.streams.has(userId)) {
+      this.streams.set(userId, new Set());
+    }
+    this.streams.get(userId).add(stream);
+    safeLog('Event stream opened', { userId, deviceId: stream.deviceId });
+
+    return () => {
+      const streams = this.streams.get(userId);
+      if (!streams?.delete(stream)) return;
+      if (streams.size === 0) {
+        this.streams.delete(userId);
+      }
+      safeLog('Event stream closed', { userId, deviceId: stream.deviceId });
+    };
+  }
+
+  /**
+   * Close a device's streams, e.g. when it logs out or is revoked
+   */
+  disconnectDevice(deviceId) {
+    this.streams.forEach(streams => {
+      streams.forEach(stream => {
+        if (stream.deviceId === deviceId) stream.close();
+      });
+    });
+  }
+
+  /**
+   * Close every open stream, e.g. on shutdown
+   */
+  closeAll() {
+    this.streams.forEach(streams => streams.forEach(stream => stream.close()));
+  }
+
+  /**
+   * Number of open streams for a user
+   */
+  connectionCount(userId) {
+    return this.streams.get(userId)?.size || 0;
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,51 @@
+/**
+ * Service Window Service
+ * Tracks WhatsApp's 24-hour customer service window per phone number. A
+ * number's window opens whenever it messages the business number; while it's
+ * open any message can be sent to it, and once it closes only approved
+ * templates can, until the number writes again.
+ */
+
+const whatsappConfig = require('../config/whatsapp');
+const { ServiceWindow } = require('../models/database');
+
+class ServiceWindowService {
+  constructor(config = whatsappConfig.serviceWindow) {
+    this.config = config;
+  }
+
+  /**
+   * Record a message from the number (timestamp: ISO string)
+   */
+  recordInbound(phoneNumber, timestamp) {
+    return ServiceWindow.recordInbound(phoneNumber, timestamp);
+  }
+
+  /**
+   * Whether a free-form message sent at `at` would be accepted
+   * Returns { open, lastInboundAt, expiresAt }; always open when enforcement is off.
+   */
+  status(phoneNumber, at = new Date()) {
+    const window = ServiceWindow.findByPhoneNumber(phoneNumber);
+    const lastInboundAt = window?.lastInboundAt || null;
+    const expiresAt = lastInboundAt
+      ? new Date(new Date(lastInboundAt).getTime() + this.config.durationMs).toISOString()
+      : null;
+
+    return {
+      open: !this.config.enforced || (expiresAt !== null && at.getTime() < new Date(expiresAt).getTime()),
+      lastInboundAt,
+      expiresAt,
+    };
+  }
+
+  /**
+   * The configured re-engagement template as { name, language }, or null
+   */
+  reengagementTemplate() {
+    if (!this.config.reengagementTemplate) return null;
+    return { name: this.config.reengagementTemplate, language: this.config.reengagementLanguage };
+  }
+}
+
+module.exports = new ServiceWindowService();
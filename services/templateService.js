@@ -0,0 +1,221 @@
+/**
+ * Template Service
+ * Message templates on the WhatsApp business account. Templates are created
+ * and deleted through the Cloud API; a local copy of each (Template) keeps
+ * their approval status, which the template status webhook keeps current, so
+ * sends can check placeholders without a round trip to WhatsApp.
+ */
+
+const whatsappService = require('./whatsappService');
+const whatsappConfig = require('../config/whatsapp');
+const { Template } = require('../models/database');
+const { safeLog } = require('../utils/helpers');
+
+const CATEGORIES = ['MARKETING', 'UTILITY', 'AUTHENTICATION'];
+const NAME_PATTERN = /^[a-z0-9_]{1,512}$/;
+
+function templateError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Report a failed Cloud API call: WhatsApp's own validation errors (400) are
+ * the caller's to fix, anything else is an upstream failure
+ */
+function apiError(error) {
+  return templateError(error.upstreamStatus === 400 ? 400 : 502, error.message);
+}
+
+class TemplateService {
+  constructor() {
+    this.config = whatsappConfig;
+  }
+
+  requireBusinessAccount() {
+    if (!this.config.businessAccountId) {
+      throw templateError(503, 'Template management needs WHATSAPP_BUSINESS_ACCOUNT_ID to be configured');
+    }
+  }
+
+  /**
+   * Refresh the local copies from the business account
+   * Templates deleted on WhatsApp's side are dropped. Returns the templates.
+   */
+  async sync() {
+    this.requireBusinessAccount();
+
+    const seen = new Set();
+    let after;
+    do {
+      let page;
+      try {
+        page = await whatsappService.listTemplates({ after });
+      } catch (error) {
+        throw apiError(error);
+      }
+
+      (page.data || []).forEach(remote => {
+        seen.add(remote.id);
+        Template.upsert({
+          id: remote.id,
+          name: remote.name,
+          language: remote.language,
+          category: remote.category,
+          status: remote.status,
+          components: remote.components || [],
+          parameterFormat: remote.parameter_format,
+          rejectedReason: remote.rejected_reason,
+        });
+      });
+      after = page.paging?.next ? page.paging.cursors?.after : undefined;
+    } while (after);
+
+    const stale = Template.findAll().filter(template => !seen.has(template.id));
+    stale.forEach(template => Template.delete(template.id));
+
+    safeLog('Templates synced', { count: seen.size, removed: stale.length });
+    return Template.findAll();
+  }
+
+  /**
+   * Local copies, synced first if there are none yet or refresh is set
+   */
+  async list({ status, refresh = false } = {}) {
+    if (refresh || Template.findAll().length === 0) {
+      await this.sync();
+    }
+    return Template.findAll({ status });
+  }
+
+  /**
+   * Submit a new template for review
+   * Returns the local copy, normally PENDING until the status webhook arrives.
+   */
+  async create({ name, language, category, components, parameterFormat }) {
+    this.requireBusinessAccount();
+
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw templateError(400, 'name must be lowercase letters, digits and underscores');
+    }
+    if (typeof language !== 'string' || !language) {
+      throw templateError(400, 'language is required, e.g. en_US');
+    }
+    if (!CATEGORIES.includes(category)) {
+      throw templateError(400, `category must be one of: ${CATEGORIES.join(', ')}`);
+    }
+    if (!Array.isArray(components) || !components.some(component => component?.type === 'BODY')) {
+      throw templateError(400, 'components must be an array including a BODY component');
+    }
+    if (parameterFormat !== undefined && !['POSITIONAL', 'NAMED'].includes(parameterFormat)) {
+      throw templateError(400, 'parameterFormat must be POSITIONAL or NAMED');
+    }
+    if (Template.findByNameAndLanguage(name, language)) {
+      throw templateError(409, 'A template with this name and language already exists');
+    }
+
+    let result;
+    try {
+      result = await whatsappService.createTemplate({
+        name,
+        language,
+        category,
+        components,
+        parameter_format: parameterFormat,
+      });
+    } catch (error) {
+      throw apiError(error);
+    }
+
+    const template = Template.upsert({
+      id: result.id,
+      name,
+      language,
+      category: result.category || category,
+      status: result.status,
+      components,
+      parameterFormat,
+    });
+
+    safeLog('Template submitted', { templateId: template.id, name, language, status: template.status });
+    return template;
+  }
+
+  /**
+   * Delete a template (every language of it)
+   * Returns the number of local copies removed.
+   */
+  async remove(name) {
+    this.requireBusinessAccount();
+
+    try {
+      await whatsappService.deleteTemplate(name);
+    } catch (error) {
+      throw apiError(error);
+    }
+
+    const removed = Template.findByName(name);
+    removed.forEach(template => Template.delete(template.id));
+
+    safeLog('Template deleted', { name, languages: removed.length });
+    return removed.length;
+  }
+
+  /**
+   * An approved template to send, syncing once if it isn't known locally yet
+   */
+  async findSendable(name, language) {
+    let template = Template.findByNameAndLanguage(name, language);
+    if ((!template || !template.components) && this.config.businessAccountId) {
+      await this.sync();
+      template = Template.findByNameAndLanguage(name, language);
+    }
+
+    if (!template) {
+      throw templateError(404, 'Template not found');
+    }
+    if (template.status !== 'APPROVED') {
+      throw templateError(409, `Template is ${template.status}; only APPROVED templates can be sent`);
+    }
+    if (!template.components) {
+      throw templateError(503, 'Template details are not available yet');
+    }
+    return template;
+  }
+
+  /**
+   * Apply a message_template_status_update webhook
+   * value: { event, message_template_id, message_template_name,
+   *          message_template_language, reason }
+   */
+  recordStatus(value) {
+    const id = String(value.message_template_id);
+    if (value.event === 'DELETED') {
+      Template.delete(id);
+      safeLog('Template status updated', { templateId: id, status: value.event });
+      return null;
+    }
+
+    const changes = {
+      status: value.event,
+      rejectedReason: value.reason && value.reason !== 'NONE' ? value.reason : undefined,
+    };
+
+    // Templates created outside this server are stored without components
+    // until the next sync fills them in
+    const template = Template.findById(id)
+      ? Template.update(id, changes)
+      : Template.create({
+        id,
+        name: value.message_template_name,
+        language: value.message_template_language,
+        ...changes,
+      });
+
+    safeLog('Template status updated', { templateId: id, name: template.name, status: template.status });
+    return template;
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,115 @@
+/**
+ * Webhook Journal
+ * Every webhook payload is stored as a WebhookEvent before it is processed.
+ * Its items are published on the event bus. Inbound messages and status
+ * updates reach each handler at most once: Meta retries deliveries, so every
+ * handler that has dealt with an item leaves a WebhookReceipt for it, and
+ * later copies only go to handlers that haven't. A journaled event can be
+ * replayed, e.g. after fixing a handler bug; handlers that already went
+ * through an item are skipped unless the replay is forced.
+ */
+
+const webhookConfig = require('../config/webhook');
+const eventBus = require('./eventBus');
+const { WebhookEvent, WebhookReceipt } = require('../models/database');
+const { safeLog } = require('../utils/helpers');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+class WebhookJournal {
+  constructor(config = webhookConfig) {
+    this.config = config;
+    this.dispatch = null;
+    this.lastPurge = 0;
+  }
+
+  /**
+   * Set the function that routes a payload's items to their handlers
+   * dispatch(payload, run): calls publish(run, ...) for each item
+   */
+  setDispatcher(dispatch) {
+    this.dispatch = dispatch;
+  }
+
+  /**
+   * Journal a payload as received
+   */
+  record(payload) {
+    const now = Date.now();
+    if (now - this.lastPurge > PURGE_INTERVAL_MS) {
+      this.lastPurge = now;
+      WebhookEvent.purgeBefore(new Date(now - this.config.journalRetentionMs).toISOString());
+    }
+
+    return WebhookEvent.create({ payload });
+  }
+
+  /**
+   * Run a journaled event through the handlers and record the outcome
+   * force: re-apply items that were already applied (inbound messages are stored again)
+   */
+  process(event, { force = false } = {}) {
+    const run = { eventId: event.id, force, processed: 0, duplicates: 0, failed: 0, errors: [] };
+    this.dispatch(event.payload, run);
+
+    return WebhookEvent.update(event.id, {
+      status: run.failed > 0 ? 'failed' : 'processed',
+      results: { processed: run.processed, duplicates: run.duplicates, failed: run.failed },
+      errors: run.errors,
+      processedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Process an event again, e.g. after fixing the handler it failed in
+   */
+  replay(event, options) {
+    WebhookEvent.update(event.id, {
+      replayCount: event.replayCount + 1,
+      lastReplayedAt: new Date().toISOString(),
+    });
+    const replayed = this.process(event, options);
+
+    safeLog('Webhook event replayed', { eventId: event.id, status: replayed.status, ...replayed.results });
+    return replayed;
+  }
+
+  /**
+   * Publish one item of a payload to the handlers that haven't dealt with it yet
+   * key: identifies the item across redeliveries (null for items that aren't deduplicated)
+   * An item counts as failed if any handler threw; the rest of the payload
+   * still goes through.
+   */
+  publish(run, key, type, payload) {
+    const receipts = key ? WebhookReceipt.findByItem(key) : [];
+    // Receipts from before per-handler tracking have no handler and cover them all
+    const applied = new Set(run.force ? [] : receipts.map(receipt => receipt.handler));
+    if (key && !run.force && receipts.length > 0
+      && (applied.has(null) || eventBus.handlersFor(type).every(handler => applied.has(handler.name)))) {
+      run.duplicates++;
+      safeLog('Duplicate webhook item skipped', { item: key, firstEventId: receipts[0].eventId });
+      return;
+    }
+
+    const results = eventBus.publish(type, payload, {
+      meta: { webhookEventId: run.eventId },
+      skip: name => applied.has(name),
+    });
+
+    const failures = results.filter(result => result.error);
+    if (key) {
+      results
+        .filter(result => !result.error && !receipts.some(receipt => receipt.handler === result.name))
+        .forEach(result => WebhookReceipt.create({ item: key, handler: result.name, eventId: run.eventId }));
+    }
+
+    if (failures.length > 0) {
+      run.failed++;
+      failures.forEach(failure => run.errors.push({ item: key || type, handler: failure.name, error: failure.error.message }));
+    } else {
+      run.processed++;
+    }
+  }
+}
+
+module.exports = new WebhookJournal();
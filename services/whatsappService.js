@@ -22,6 +22,11 @@ class WhatsAppService {
 
   /**
    * Send text message
+   * options: {
+   *   preview_url?,
+   *   contextMessageId? - WhatsApp ID of the message being replied to,
+   *   retry? - false to skip makeRequest's retries
+   * }
    */
   async sendTextMessage(recipientPhoneNumber, messageText, options = {}) {
     try {
@@ -34,8 +39,11 @@ class WhatsAppService {
           preview_url: options.preview_url || false,
         },
       };
+      if (options.contextMessageId) {
+        payload.context = { message_id: options.contextMessageId };
+      }
 
-      return await this.makeRequest('POST', `/${this.config.phoneNumberId}/messages`, payload);
+      return await this.makeRequest('POST', `/${this.config.phoneNumberId}/messages`, payload, {}, { retry: options.retry });
     } catch (error) {
       console.error('Failed to send text message:', error.message);
       throw error;
@@ -63,8 +71,11 @@ class WhatsAppService {
 
   /**
    * Send template message
+   * components: Cloud API template components filling in the placeholders,
+   * e.g. [{ type: 'body', parameters: [{ type: 'text', text }] }] (see utils/templates.js)
+   * options: { contextMessageId? - WhatsApp ID of the message being replied to, retry? - false to skip makeRequest's retries }
    */
-  async sendTemplateMessage(recipientPhoneNumber, templateName, languageCode = 'en', parameters = []) {
+  async sendTemplateMessage(recipientPhoneNumber, templateName, languageCode = 'en', components = [], options = {}) {
     try {
       const payload = {
         messaging_product: this.config.messageDefaults.messagingProduct,
@@ -75,17 +86,65 @@ class WhatsAppService {
           language: {
             code: languageCode,
           },
-          parameters: parameters.length > 0 ? { body: { parameters } } : undefined,
+          components: components.length > 0 ? components : undefined,
         },
       };
+      if (options.contextMessageId) {
+        payload.context = { message_id: options.contextMessageId };
+      }
 
-      return await this.makeRequest('POST', `/${this.config.phoneNumberId}/messages`, payload);
+      return await this.makeRequest('POST', `/${this.config.phoneNumberId}/messages`, payload, {}, { retry: options.retry });
     } catch (error) {
       console.error('Failed to send template message:', error.message);
       throw error;
     }
   }
 
+  /**
+   * List message templates on the business account, one page at a time
+   * Returns { data: [templates], paging: { cursors: { after }, next? } }
+   */
+  async listTemplates({ after, limit = 100 } = {}) {
+    try {
+      const params = {
+        fields: 'id,name,language,status,category,components,parameter_format,rejected_reason',
+        limit,
+      };
+      if (after) params.after = after;
+
+      return await this.makeRequest('GET', `/${this.config.businessAccountId}/message_templates`, null, params);
+    } catch (error) {
+      console.error('Failed to list templates:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a message template for review
+   * template: { name, language, category, components, parameter_format? }
+   * Returns { id, status, category }
+   */
+  async createTemplate(template) {
+    try {
+      return await this.makeRequest('POST', `/${this.config.businessAccountId}/message_templates`, template);
+    } catch (error) {
+      console.error('Failed to create template:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a message template by name (every language of it)
+   */
+  async deleteTemplate(name) {
+    try {
+      return await this.makeRequest('DELETE', `/${this.config.businessAccountId}/message_templates`, null, { name });
+    } catch (error) {
+      console.error('Failed to delete template:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Mark message as read
    */
@@ -118,10 +177,11 @@ class WhatsAppService {
 
   /**
    * Get phone number info
+   * phoneNumberId: a number on the business account (default: the shared one)
    */
-  async getPhoneNumberInfo() {
+  async getPhoneNumberInfo(phoneNumberId = this.config.phoneNumberId) {
     try {
-      return await this.makeRequest('GET', `/${this.config.phoneNumberId}`, null, {
+      return await this.makeRequest('GET', `/${phoneNumberId}`, null, {
         fields: 'verified_name,display_phone_number,quality_rating',
       });
     } catch (error) {
@@ -131,22 +191,103 @@ class WhatsAppService {
   }
 
   /**
-   * Upload media file
+   * Send media message (image, document, audio, video) by uploaded media ID
+   * media: { id, caption?, filename? } - filename applies to documents only
+   * options: { contextMessageId? - WhatsApp ID of the message being replied to, retry? - false to skip makeRequest's retries }
    */
-  async uploadMedia(filePath, mediaType) {
+  async sendMediaMessage(recipientPhoneNumber, mediaType, media, options = {}) {
     try {
-      // This would require file upload handling - for now, return placeholder
-      console.log(`Media upload: ${filePath} (${mediaType})`);
-      return {
-        media_object_id: `media_${Date.now()}`,
-        url: filePath,
+      const payload = {
+        messaging_product: this.config.messageDefaults.messagingProduct,
+        to: this.normalizePhoneNumber(recipientPhoneNumber),
+        type: mediaType,
+        [mediaType]: media,
       };
+      if (options.contextMessageId) {
+        payload.context = { message_id: options.contextMessageId };
+      }
+
+      return await this.makeRequest('POST', `/${this.config.phoneNumberId}/messages`, payload, {}, { retry: options.retry });
+    } catch (error) {
+      console.error('Failed to send media message:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * React to a message with an emoji; an empty emoji removes the reaction
+   */
+  async sendReaction(recipientPhoneNumber, messageId, emoji) {
+    try {
+      const payload = {
+        messaging_product: this.config.messageDefaults.messagingProduct,
+        recipient_type: 'individual',
+        to: this.normalizePhoneNumber(recipientPhoneNumber),
+        type: 'reaction',
+        reaction: {
+          message_id: messageId,
+          emoji,
+        },
+      };
+
+      return await this.makeRequest('POST', `/${this.config.phoneNumberId}/messages`, payload);
+    } catch (error) {
+      console.error('Failed to send reaction:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload media file
+   * Returns { id } - the media ID to send it with
+   */
+  async uploadMedia(buffer, mimeType, fileName = 'file') {
+    try {
+      const form = new FormData();
+      form.append('messaging_product', this.config.messageDefaults.messagingProduct);
+      form.append('type', mimeType);
+      form.append('file', new Blob([buffer], { type: mimeType }), fileName);
+
+      return await this.makeRequest('POST', `/${this.config.phoneNumberId}/media`, form);
     } catch (error) {
       console.error('Failed to upload media:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get media metadata, including a short-lived download URL
+   * Returns { url, mime_type, sha256, file_size, id }
+   */
+  async getMediaInfo(mediaId) {
+    try {
+      return await this.makeRequest('GET', `/${mediaId}`);
+    } catch (error) {
+      console.error('Failed to get media info:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a download stream for a media URL from getMediaInfo
+   * Returns the axios response; response.data is the readable stream.
+   */
+  async downloadMedia(url) {
+    try {
+      return await axios({
+        method: 'GET',
+        url,
+        responseType: 'stream',
+        headers: {
+          'Authorization': `Bearer ${this.config.accessToken}`,
+        },
+      });
+    } catch (error) {
+      console.error('Failed to download media:', error.message);
+      throw new Error(`WhatsApp API Error: ${error.message}`);
+    }
+  }
+
   /**
    * Validate webhook token
    */
@@ -174,8 +315,11 @@ class WhatsAppService {
 
   /**
    * Make HTTP request to WhatsApp API
+   * options: { retry?: false to fail on the first error, for callers with their own retry policy }
+   * Errors carry the API's HTTP status as upstreamStatus; it describes our
+   * call to WhatsApp, not the client's request, so routes shouldn't pass it on.
    */
-  async makeRequest(method, endpoint, payload = null, params = {}, retryCount = 0) {
+  async makeRequest(method, endpoint, payload = null, params = {}, options = {}, retryCount = 0) {
     try {
       const url = `${this.config.apiUrl}${endpoint}`;
       
@@ -184,10 +328,14 @@ class WhatsAppService {
         url,
         headers: {
           'Authorization': `Bearer ${this.config.accessToken}`,
-          'Content-Type': 'application/json',
         },
       };
 
+      // Multipart bodies set their own Content-Type (with the boundary)
+      if (!(payload instanceof FormData)) {
+        config.headers['Content-Type'] = 'application/json';
+      }
+
       if (payload) {
         config.data = payload;
       }
@@ -200,14 +348,18 @@ class WhatsAppService {
       return response.data;
     } catch (error) {
       // Retry logic
-      if (retryCount < this.config.retry.maxAttempts && this.isRetryableError(error)) {
+      if (options.retry !== false && retryCount < this.config.retry.maxAttempts && this.isRetryableError(error)) {
         const delay = this.config.retry.delayMs * Math.pow(this.config.retry.backoffMultiplier, retryCount);
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.makeRequest(method, endpoint, payload, params, retryCount + 1);
+        return this.makeRequest(method, endpoint, payload, params, options, retryCount + 1);
       }
 
       const errorMessage = error.response?.data?.error?.message || error.message;
-      throw new Error(`WhatsApp API Error: ${errorMessage}`);
+      const apiError = new Error(`WhatsApp API Error: ${errorMessage}`);
+      apiError.upstreamStatus = error.response?.status;
+      apiError.code = error.response?.data?.error?.code;
+      apiError.retryable = this.isRetryableError(error);
+      throw apiError;
     }
   }
 
@@ -0,0 +1,67 @@
+/**
+ * Chunking for text bodies over the WhatsApp length limit
+ *
+ * Each chunk is a text message of the form
+ *   WSC1:<groupId>:<index>/<total>:<data>
+ * where groupId is shared by every chunk of one message and index is 1-based.
+ */
+
+const crypto = require('crypto');
+
+const CHUNK_MARKER = 'WSC1';
+const CHUNK_PATTERN = /^WSC1:([0-9a-f]{16}):(\d+)\/(\d+):/;
+
+/**
+ * Split text into chunk bodies of at most maxLength characters
+ * Text that already fits is returned unchanged as a single body.
+ */
+function splitIntoChunks(text, maxLength) {
+  if (text.length <= maxLength) {
+    return { groupId: null, chunks: [text] };
+  }
+
+  const groupId = crypto.randomBytes(8).toString('hex');
+
+  // The header grows with the digit count of the total; settle on a total
+  // whose header still leaves room for the data
+  let total = 1;
+  let capacity;
+  for (;;) {
+    const headerLength = `${CHUNK_MARKER}:${groupId}:${total}/${total}:`.length;
+    capacity = maxLength - headerLength;
+    const needed = Math.ceil(text.length / capacity);
+    if (needed <= total) break;
+    total = needed;
+  }
+
+  const chunks = [];
+  for (let i = 0; i < total; i++) {
+    const data = text.slice(i * capacity, (i + 1) * capacity);
+    chunks.push(`${CHUNK_MARKER}:${groupId}:${i + 1}/${total}:${data}`);
+  }
+  return { groupId, chunks };
+}
+
+/**
+ * Parse a chunk body; returns { groupId, index, total, data } or null
+ */
+function parseChunk(body) {
+  const match = typeof body === 'string' && body.match(CHUNK_PATTERN);
+  if (!match) return null;
+
+  const index = parseInt(match[2]);
+  const total = parseInt(match[3]);
+  if (index < 1 || index > total) return null;
+
+  return {
+    groupId: match[1],
+    index,
+    total,
+    data: body.slice(match[0].length),
+  };
+}
+
+module.exports = {
+  splitIntoChunks,
+  parseChunk,
+};
@@ -0,0 +1,152 @@
+/**
+ * WA-Shield wire envelope
+ *
+ * Encrypted messages travel as WhatsApp text bodies of the form
+ *   WASHIELD:<version>:<publicKeyId>:<nonce>:<ciphertext>:<signature>
+ *
+ * publicKeyId  sender device's identity key fingerprint (hex)
+ * nonce        base64, as used by the client's cipher
+ * ciphertext   base64
+ * signature    base64 Ed25519 signature by the sender's signing key over
+ *              signingPayload() - binds the version, key, nonce and ciphertext
+ *
+ * Envelopes longer than the WhatsApp text limit are chunked (utils/chunking.js).
+ *
+ * "Delete for everyone" travels as a revocation envelope:
+ *   WASHIELD-REVOKE:<version>:<publicKeyId>:<whatsappMessageId>:<signature>
+ * signed over revocationSigningPayload(), so only the sender's devices can
+ * revoke their messages.
+ */
+
+const ENVELOPE_MARKER = 'WASHIELD';
+const REVOCATION_MARKER = 'WASHIELD-REVOKE';
+const ENVELOPE_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+const KEY_ID = /^[0-9A-Fa-f]+$/;
+const WHATSAPP_MESSAGE_ID = /^[A-Za-z0-9._=+/-]+$/;
+
+// How a stored message's content arrived
+const MessageSecurity = {
+  ENCRYPTED_VERIFIED: 'encrypted_verified', // Envelope signature checked against the sender's key
+  ENCRYPTED_UNVERIFIED: 'encrypted_unverified', // Ciphertext, but the sender couldn't be verified
+  PLAINTEXT: 'plaintext', // Ordinary WhatsApp message
+};
+
+/**
+ * The bytes the sender signs
+ */
+function signingPayload({ version = ENVELOPE_VERSION, publicKeyId, nonce, ciphertext }) {
+  return `washield-envelope:${version}:${publicKeyId}:${nonce}:${ciphertext}`;
+}
+
+/**
+ * Check the fields of an envelope; returns an error message or null
+ */
+function validateFields({ publicKeyId, nonce, ciphertext, signature }) {
+  if (!publicKeyId || !KEY_ID.test(publicKeyId)) return 'publicKeyId must be a hex fingerprint';
+  if (!nonce || !BASE64.test(nonce)) return 'nonce must be base64';
+  if (!ciphertext || !BASE64.test(ciphertext)) return 'ciphertext must be base64';
+  if (!signature || !BASE64.test(signature)) return 'signature must be base64';
+  return null;
+}
+
+/**
+ * Serialize an envelope to its wire form
+ */
+function buildEnvelope({ publicKeyId, nonce, ciphertext, signature }) {
+  return [ENVELOPE_MARKER, ENVELOPE_VERSION, publicKeyId, nonce, ciphertext, signature].join(':');
+}
+
+function isEnvelope(text) {
+  return typeof text === 'string' && text.startsWith(`${ENVELOPE_MARKER}:`);
+}
+
+/**
+ * Parse a wire envelope
+ * Returns { envelope } on success, or { error } for text that carries the
+ * marker but isn't a usable envelope. Returns null for text without the marker.
+ */
+function parseEnvelope(text) {
+  if (!isEnvelope(text)) return null;
+
+  const parts = text.split(':');
+  const version = parseInt(parts[1]);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return { error: 'unsupported_version', version: parts[1] };
+  }
+  if (parts.length !== 6) {
+    return { error: 'malformed' };
+  }
+
+  const [, , publicKeyId, nonce, ciphertext, signature] = parts;
+  const envelope = { version, publicKeyId, nonce, ciphertext, signature };
+  if (validateFields(envelope)) {
+    return { error: 'malformed' };
+  }
+  return { envelope };
+}
+
+/**
+ * The bytes the sender signs to revoke one of their messages
+ */
+function revocationSigningPayload({ version = ENVELOPE_VERSION, publicKeyId, whatsappMessageId }) {
+  return `washield-revoke:${version}:${publicKeyId}:${whatsappMessageId}`;
+}
+
+/**
+ * Check the fields of a revocation; returns an error message or null
+ */
+function validateRevocationFields({ publicKeyId, whatsappMessageId, signature }) {
+  if (!publicKeyId || !KEY_ID.test(publicKeyId)) return 'publicKeyId must be a hex fingerprint';
+  if (!whatsappMessageId || !WHATSAPP_MESSAGE_ID.test(whatsappMessageId)) return 'Invalid whatsappMessageId';
+  if (!signature || !BASE64.test(signature)) return 'signature must be base64';
+  return null;
+}
+
+function buildRevocation({ publicKeyId, whatsappMessageId, signature }) {
+  return [REVOCATION_MARKER, ENVELOPE_VERSION, publicKeyId, whatsappMessageId, signature].join(':');
+}
+
+function isRevocation(text) {
+  return typeof text === 'string' && text.startsWith(`${REVOCATION_MARKER}:`);
+}
+
+/**
+ * Parse a wire revocation; same return shape as parseEnvelope()
+ */
+function parseRevocation(text) {
+  if (!isRevocation(text)) return null;
+
+  const parts = text.split(':');
+  const version = parseInt(parts[1]);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return { error: 'unsupported_version', version: parts[1] };
+  }
+  if (parts.length !== 5) {
+    return { error: 'malformed' };
+  }
+
+  const [, , publicKeyId, whatsappMessageId, signature] = parts;
+  const revocation = { version, publicKeyId, whatsappMessageId, signature };
+  if (validateRevocationFields(revocation)) {
+    return { error: 'malformed' };
+  }
+  return { revocation };
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  MessageSecurity,
+  signingPayload,
+  validateFields,
+  buildEnvelope,
+  isEnvelope,
+  parseEnvelope,
+  revocationSigningPayload,
+  validateRevocationFields,
+  buildRevocation,
+  isRevocation,
+  parseRevocation,
+};
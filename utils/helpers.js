@@ -4,6 +4,9 @@
 
 const crypto = require('crypto');
 
+// DER header of an Ed25519 SubjectPublicKeyInfo, prepended to a raw 32-byte key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
 /**
  * Generate a unique ID
  */
@@ -24,6 +27,48 @@ function computeKeyFingerprint(publicKeyBase64) {
   }
 }
 
+/**
+ * Verify an Ed25519 signature made with a raw (base64) public key
+ */
+function verifyEd25519Signature(publicKeyBase64, message, signatureBase64) {
+  try {
+    const rawKey = Buffer.from(publicKeyBase64 || '', 'base64');
+    const signature = Buffer.from(signatureBase64 || '', 'base64');
+    if (rawKey.length !== 32 || signature.length !== 64) return false;
+
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, rawKey]),
+      format: 'der',
+      type: 'spki',
+    });
+
+    return crypto.verify(null, Buffer.from(message), key, signature);
+  } catch (error) {
+    console.error('Failed to verify signature:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Encode a paging position (sort value + record id) as an opaque cursor
+ */
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor; returns { value, id } or null if malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof value !== 'string' || typeof id !== 'string') return null;
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Format timestamp for WhatsApp API
  */
@@ -59,6 +104,15 @@ function isValidPhoneNumber(phoneNumber) {
   return /^\+?[1-9]\d{1,14}$/.test(cleaned);
 }
 
+/**
+ * Validate a base64 raw 32-byte X25519 public key
+ */
+function isValidX25519PublicKey(publicKey) {
+  return typeof publicKey === 'string'
+    && /^[A-Za-z0-9+/]+={0,2}$/.test(publicKey)
+    && Buffer.from(publicKey, 'base64').length === 32;
+}
+
 /**
  * Format phone number to standard format
  */
@@ -138,9 +192,13 @@ function parseIncomingMessage(webhookData) {
 module.exports = {
   generateId,
   computeKeyFingerprint,
+  verifyEd25519Signature,
+  encodeCursor,
+  decodeCursor,
   getTimestamp,
   safeLog,
   isValidPhoneNumber,
+  isValidX25519PublicKey,
   formatPhoneNumber,
   retryWithBackoff,
   parseIncomingMessage,
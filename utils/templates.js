@@ -0,0 +1,180 @@
+/**
+ * WhatsApp message template placeholders
+ *
+ * Template text marks its variables as {{1}}, {{2}}, ... (positional) or
+ * {{name}} (named templates). Sends supply one value per placeholder:
+ *   parameters: {
+ *     header?: [values] | { name: value } | { id } | { link },  (media headers take { id } or { link })
+ *     body?: [values] | { name: value },
+ *     buttons?: { <button index>: [values] | { name: value } }  (URL buttons with a {{}} suffix)
+ *   }
+ * Positional values are listed in placeholder order.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+const MEDIA_HEADER_FORMATS = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+// The Cloud API rejects text parameters with line breaks, tabs or long runs of spaces
+const INVALID_TEXT_PATTERN = /[\n\t]| {5,}/;
+
+/**
+ * Distinct placeholder names in text, in order of first appearance
+ */
+function extractPlaceholders(text) {
+  const names = [];
+  for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * The parameters a template needs
+ * Returns { named, header: { format, placeholders } | null, body: [names],
+ * buttons: [{ index, placeholders }] }; positional names are sorted numerically.
+ */
+function describeParameters(template) {
+  const components = template.components || [];
+  const find = type => components.find(component => component.type === type);
+  const header = find('HEADER');
+  const body = find('BODY');
+
+  const spec = {
+    header: header
+      ? { format: header.format, placeholders: header.format === 'TEXT' ? extractPlaceholders(header.text) : [] }
+      : null,
+    body: extractPlaceholders(body?.text),
+    buttons: (find('BUTTONS')?.buttons || [])
+      .map((button, index) => ({
+        index,
+        placeholders: button.type === 'URL' ? extractPlaceholders(button.url) : [],
+      }))
+      .filter(button => button.placeholders.length > 0),
+  };
+
+  const all = [...(spec.header?.placeholders || []), ...spec.body, ...spec.buttons.flatMap(b => b.placeholders)];
+  spec.named = template.parameterFormat === 'NAMED' || all.some(name => !/^\d+$/.test(name));
+  if (!spec.named) {
+    const numeric = (a, b) => Number(a) - Number(b);
+    if (spec.header) spec.header.placeholders.sort(numeric);
+    spec.body.sort(numeric);
+    spec.buttons.forEach(button => button.placeholders.sort(numeric));
+  }
+  return spec;
+}
+
+/**
+ * Match values to placeholders
+ * Returns { values: { name: value } } or { error }.
+ */
+function matchValues(field, placeholders, values, named) {
+  const byName = {};
+
+  if (named) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return { error: `${field} must be an object keyed by placeholder name`, expected: placeholders };
+    }
+    const extra = Object.keys(values).filter(name => !placeholders.includes(name));
+    const missing = placeholders.filter(name => values[name] === undefined);
+    if (missing.length > 0 || extra.length > 0) {
+      return { error: `${field} doesn't match the template's placeholders`, expected: placeholders, missing, extra };
+    }
+    placeholders.forEach(name => { byName[name] = values[name]; });
+  } else {
+    if (!Array.isArray(values) || values.length !== placeholders.length) {
+      return {
+        error: `${field} must be an array of ${placeholders.length} value(s)`,
+        expected: placeholders,
+      };
+    }
+    placeholders.forEach((name, i) => { byName[name] = values[i]; });
+  }
+
+  for (const name of placeholders) {
+    const value = byName[name];
+    if (typeof value !== 'string' || value.trim() === '') {
+      return { error: `${field} value for {{${name}}} must be a non-empty string` };
+    }
+    if (INVALID_TEXT_PATTERN.test(value)) {
+      return { error: `${field} value for {{${name}}} can't contain line breaks, tabs or more than four spaces in a row` };
+    }
+  }
+  return { values: byName };
+}
+
+function textParameters(values, named) {
+  return Object.entries(values).map(([name, text]) => (
+    named ? { type: 'text', parameter_name: name, text } : { type: 'text', text }
+  ));
+}
+
+/**
+ * Turn a send's parameters into Cloud API template components
+ * Returns { components, text } - text is the body with its placeholders filled
+ * in - or { error, expected?, missing?, extra? } if they don't fit the template.
+ */
+function buildComponents(template, parameters = {}) {
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return { error: 'parameters must be an object with header, body and buttons values' };
+  }
+
+  const spec = describeParameters(template);
+  const components = [];
+
+  const header = spec.header;
+  if (header && MEDIA_HEADER_FORMATS.includes(header.format)) {
+    const media = parameters.header;
+    const type = header.format.toLowerCase();
+    if (!media || typeof media !== 'object' || (typeof media.id !== 'string' && typeof media.link !== 'string')) {
+      return { error: `header must be { id } or { link } for this template's ${type} header` };
+    }
+    components.push({
+      type: 'header',
+      parameters: [{ type, [type]: media.id ? { id: media.id } : { link: media.link } }],
+    });
+  } else if (header && header.placeholders.length > 0) {
+    const result = matchValues('header', header.placeholders, parameters.header, spec.named);
+    if (result.error) return result;
+    components.push({ type: 'header', parameters: textParameters(result.values, spec.named) });
+  } else if (parameters.header !== undefined) {
+    return { error: 'This template has no header parameters' };
+  }
+
+  let bodyValues = {};
+  if (spec.body.length > 0) {
+    const result = matchValues('body', spec.body, parameters.body, spec.named);
+    if (result.error) return result;
+    bodyValues = result.values;
+    components.push({ type: 'body', parameters: textParameters(bodyValues, spec.named) });
+  } else if (parameters.body !== undefined) {
+    return { error: 'This template has no body parameters' };
+  }
+
+  const buttonValues = parameters.buttons || {};
+  const unknown = Object.keys(buttonValues).filter(index => !spec.buttons.some(b => String(b.index) === index));
+  if (unknown.length > 0) {
+    return { error: `No button parameters at index ${unknown.join(', ')}` };
+  }
+  for (const button of spec.buttons) {
+    const field = `buttons.${button.index}`;
+    const result = matchValues(field, button.placeholders, buttonValues[button.index], spec.named);
+    if (result.error) return result;
+    components.push({
+      type: 'button',
+      sub_type: 'url',
+      index: String(button.index),
+      parameters: textParameters(result.values, spec.named),
+    });
+  }
+
+  const bodyText = (template.components || []).find(component => component.type === 'BODY')?.text || '';
+  const text = bodyText.replace(PLACEHOLDER_PATTERN, (placeholder, name) => bodyValues[name] ?? placeholder);
+
+  return { components, text };
+}
+
+module.exports = {
+  extractPlaceholders,
+  describeParameters,
+  buildComponents,
+};